@@ -1,5 +1,18 @@
+import { Match, Skip } from "chimpanzee";
 import * as schemas from "./schemas";
 import makeAnalyzer from "./make-analyzer";
+import { parameterize } from "./db-params";
+
+/*
+  Reads are queries; their runtime values are hoisted into params. See db-params.js.
+  A query with values which can't be hoisted doesn't match.
+*/
+function analyzeQuery(schemas, path, state, analysisState) {
+  return makeAnalyzer(schemas, path, state, analysisState, result => {
+    const query = parameterize(result.value, path);
+    return query instanceof Skip ? query : new Match(query, result.env);
+  });
+}
 
 export default function(analysisState) {
   return {
@@ -11,14 +24,27 @@ export default function(analysisState) {
         myDb.todos.map().filter()
         myDb.todos.map().slice()
         myDb.todos.sort()
+        myDb.todos.find()
+        myDb.todos.some()
+        myDb.todos.reduce()
+        Math.max(...myDb.todos.map())
+        Array.from(new Set(myDb.todos.map()))
     */
     analyzeCallExpression(path, state) {
-      return makeAnalyzer(
+      return analyzeQuery(
         [
           schemas.map,
           schemas.slice,
           schemas.sort,
           schemas.select,
+          schemas.find,
+          schemas.findIndex,
+          schemas.some,
+          schemas.every,
+          schemas.reduce,
+          schemas.group,
+          schemas.math,
+          schemas.distinct,
           schemas.readCallError
         ],
         path,
@@ -26,6 +52,22 @@ export default function(analysisState) {
         analysisState
       );
     },
+    /*
+      An expression combining queries
+      eg:
+      myDb.orders.reduce() / myDb.orders.length
+    */
+    analyzeBinaryExpression(path, state) {
+      return analyzeQuery([schemas.average], path, state, analysisState);
+    },
+    /*
+      An array literal
+      eg:
+      [...new Set(myDb.todos.map())]
+    */
+    analyzeArrayExpression(path, state) {
+      return analyzeQuery([schemas.distinct], path, state, analysisState);
+    },
     /*
       Ending with a member expression
       eg:
@@ -33,7 +75,7 @@ export default function(analysisState) {
       myDb.todos.filter().length
     */
     analyzeMemberExpression(path, state) {
-      return makeAnalyzer(
+      return analyzeQuery(
         [schemas.count, schemas.collection, schemas.readMemberError],
         path,
         state,
@@ -1,16 +1,274 @@
 import * as expressions from "./expressions";
+import * as predicates from "../db-predicates";
 
-export function isMemberExpressionDefinedOnParameter(path) {
-  return path.type === "MemberExpression"
-    ? () => {
-        const identifier = expressions.getIdentifier(path);
-        return identifier
+/*
+  The keys leading to an identifier in a destructuring pattern.
+    todo                        todo: []
+    { rank: a }                 a: ["rank"]
+    { owner: { city } = {} }    city: ["owner", "city"]
+
+  A default on a field changes what a missing field reads as, so it has no keys.
+    { priority = 3 }            priority: undefined
+*/
+function getPatternKeys(pattern, identifier) {
+  return pattern === identifier
+    ? []
+    : pattern.type === "AssignmentPattern" && pattern.left.type === "ObjectPattern"
+      ? getPatternKeys(pattern.left, identifier)
+      : pattern.type === "ObjectPattern"
+        ? pattern.properties.reduce(
+            (acc, prop) =>
+              acc ||
+              (prop.type === "ObjectProperty" &&
+              !prop.computed &&
+              prop.key.type === "Identifier"
+                ? (() => {
+                    const keys = getPatternKeys(prop.value, identifier);
+                    return keys ? [prop.key.name].concat(keys) : undefined;
+                  })()
+                : undefined),
+            undefined
+          )
+        : undefined;
+}
+
+/*
+  The binding, if the identifier refers to a parameter of the nearest enclosing function.
+  fnPath, if given, is the function to look in instead of the nearest one.
+*/
+function getParameterBinding(path, fnPath) {
+  return path && path.type === "Identifier"
+    ? (() => {
+        const binding = path.scope.getBinding(path.node.name);
+        const fn = fnPath || path.getFunctionParent();
+        return !!binding &&
+          !!fn &&
+          binding.kind === "param" &&
+          binding.scope.block === fn.node &&
+          binding.referencePaths.includes(path)
+          ? binding
+          : undefined;
+      })()
+    : undefined;
+}
+
+/*
+  If the identifier refers to a parameter of the nearest enclosing function,
+  returns the keys destructured from the parameter to reach it.
+  fnPath, if given, is the function to look in instead of the nearest one.
+*/
+function getParameterKeys(path, fnPath) {
+  const binding = getParameterBinding(path, fnPath);
+  return binding ? getPatternKeys(binding.path.node, binding.identifier) : undefined;
+}
+
+/*
+  Is this identifier a parameter of the nearest enclosing function?
+    todo => "dueDate" in todo     todo: yes
+*/
+export function isParameter(path) {
+  const keys = getParameterKeys(path);
+  return !!keys && keys.length === 0;
+}
+
+/*
+  Does the expression reference a parameter of the nearest enclosing function?
+  fnPath, if given, is the function to look in instead of the nearest one.
+    order => order.items.some(item => item.qty > order.minQty)    the inner callback
+                                                                  references order
+*/
+export function referencesParameter(path, fnPath) {
+  return path.type === "Identifier"
+    ? !!getParameterBinding(path, fnPath)
+    : (() => {
+        const state = { found: false };
+        path.traverse(
+          {
+            Identifier(identifier, state) {
+              state.found = state.found || !!getParameterBinding(identifier, fnPath);
+            }
+          },
+          state
+        );
+        return state.found;
+      })();
+}
+
+/*
+  Runtime keys are evaluated before the record is known, so they can't depend on it.
+    todo => todo[todo.kind]     Not a field.
+*/
+function hasKeyOnParameter(path) {
+  return (
+    path.type === "MemberExpression" &&
+    ((path.node.computed && referencesParameter(path.get("property"))) ||
+      hasKeyOnParameter(path.get("object")))
+  );
+}
+
+/*
+  The keys leading to a field on a parameter of the nearest enclosing function.
+    todo => todo.owner.city === x               todo.owner.city: ["owner", "city"]
+    ({ owner }) => owner[key] === x             owner[key]: ["owner", keyNode]
+*/
+export function getParameterFieldKeys(path, fnPath) {
+  return path.type === "Identifier"
+    ? (() => {
+        const keys = getParameterKeys(path, fnPath);
+        return keys && keys.length ? keys : undefined;
+      })()
+    : path.type === "MemberExpression"
+      ? (() => {
+          const memberKeys = expressions.getMemberKeys(path.node);
+          const keys =
+            memberKeys && !hasKeyOnParameter(path)
+              ? getParameterKeys(expressions.getIdentifier(path), fnPath)
+              : undefined;
+          return keys ? keys.concat(memberKeys) : undefined;
+        })()
+      : undefined;
+}
+
+/*
+  The field on a parameter of the nearest enclosing function. See db-predicates.js.
+    todo => todo.owner.city === x               todo.owner.city: "owner.city"
+    ({ owner }) => owner.city === x             owner.city: "owner.city"
+    ({ rank: a }, { rank: b }) => a - b         a: "rank"
+    todo => todo["due-date"] === x              todo["due-date"]: "due-date"
+    todo => todo[field] === x                   todo[field]: dynamicField
+    todo => approvers.includes(todo.owner)      approvers: undefined
+
+  fnPath is for a field on the parameter of an outer function.
+    o => myDb.customers.some(c => c.id === o.customerId)    o.customerId, with fnPath as o => ...
+*/
+export function getParameterField(path, fnPath) {
+  const keys = getParameterFieldKeys(path, fnPath);
+  return keys ? predicates.field(keys) : undefined;
+}
+
+export function isParameterField(path) {
+  return typeof getParameterField(path) !== "undefined";
+}
+
+/*
+  Resolves a callback argument to a function.
+    filter(t => t.done)
+    filter(function(t) { return t.done; })
+    filter(isDone) where isDone is a function declared in the module
+*/
+export function resolveFunction(path) {
+  return ["ArrowFunctionExpression", "FunctionExpression"].includes(path.type)
+    ? path
+    : path.type === "Identifier"
+      ? (() => {
+          const binding = path.scope.getBinding(path.node.name);
+          return binding && binding.constant
+            ? binding.path.type === "FunctionDeclaration"
+              ? binding.path
+              : binding.path.type === "VariableDeclarator" &&
+                  binding.path.node.init &&
+                  ["ArrowFunctionExpression", "FunctionExpression"].includes(
+                    binding.path.node.init.type
+                  )
+                ? binding.path.get("init")
+                : undefined
+            : undefined;
+        })()
+      : undefined;
+}
+
+/*
+  The expression returned by a function.
+    t => t.done
+    t => { return t.done; }
+*/
+export function getReturnedExpression(fnPath) {
+  const body = fnPath.get("body");
+  return body.type !== "BlockStatement"
+    ? body
+    : body.node.body.length === 1 && body.node.body[0].type === "ReturnStatement"
+      ? body.get("body.0.argument")
+      : undefined;
+}
+
+/*
+  The expression returned by a function node, such as one from expandDestructuredParams.
+*/
+export function getReturnedNode(fn) {
+  return fn.body.type !== "BlockStatement"
+    ? fn.body
+    : fn.body.body.length === 1 && fn.body.body[0].type === "ReturnStatement"
+      ? fn.body.body[0].argument
+      : undefined;
+}
+
+/*
+  Returns a copy of the function node in which destructured parameters are replaced
+  with identifiers, and references to destructured names with member expressions.
+  This lets node based schemas match callbacks with destructured parameters.
+    ({ rank: a }, { rank: b }) => a - b
+  becomes
+    (_param, _param2) => _param.rank - _param2.rank
+*/
+export function expandDestructuredParams(fnPath) {
+  const params = fnPath.get("params");
+  const names = params.map(
+    param => (param.type === "Identifier" ? param.node.name : fnPath.scope.generateUid("param"))
+  );
+
+  const memberExpression = (name, keys) =>
+    keys.reduce(
+      (object, key) => ({
+        type: "MemberExpression",
+        object,
+        property: { type: "Identifier", name: key },
+        computed: false
+      }),
+      { type: "Identifier", name }
+    );
+
+  //Pairs of [referenceNode, replacementNode]
+  const replacements = params.reduce(
+    (acc, param, i) =>
+      param.type === "Identifier"
+        ? acc
+        : acc.concat(
+            Object.keys(param.getBindingIdentifiers()).reduce((acc, name) => {
+              const binding = fnPath.scope.getBinding(name);
+              const keys = getPatternKeys(param.node, binding.identifier);
+              return keys
+                ? acc.concat(
+                    binding.referencePaths.map(ref => [ref.node, memberExpression(names[i], keys)])
+                  )
+                : acc;
+            }, [])
+          ),
+    []
+  );
+
+  //Subtrees without replacements are kept as they are, so that their paths can be found.
+  const copy = node => {
+    const replacement = replacements.find(([ref]) => ref === node);
+    return replacement
+      ? replacement[1]
+      : Array.isArray(node)
+        ? (() => {
+            const items = node.map(copy);
+            return items.every((item, i) => item === node[i]) ? node : items;
+          })()
+        : node && typeof node === "object"
           ? (() => {
-              const binding =
-                path.parentPath.scope.bindings[identifier.node.name];
-              return binding && binding.referencePaths.includes(path);
+              const result = Object.keys(node).reduce(
+                (acc, key) => ({ ...acc, [key]: copy(node[key]) }),
+                {}
+              );
+              return Object.keys(node).every(key => result[key] === node[key]) ? node : result;
             })()
-          : false;
-      }
-    : false;
+          : node;
+  };
+
+  return {
+    ...copy(fnPath.node),
+    params: names.map(name => ({ type: "Identifier", name }))
+  };
 }
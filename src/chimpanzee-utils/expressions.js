@@ -1,4 +1,6 @@
+import R from "ramda";
 import exception from "../exception";
+import clean from "./node-cleaner";
 
 export function getIdentifier(path) {
   return path.type === "CallExpression"
@@ -9,3 +11,100 @@ export function getIdentifier(path) {
             ? getIdentifier(path.get("argument"))
             : path.type === "Identifier" ? path : undefined;
 }
+
+/*
+  Does the expression reference the binding? Other bindings with the same name don't count.
+    (s, o) => s + s.total     s.total references s
+*/
+export function referencesBinding(path, binding) {
+  return binding.referencePaths.some(ref => ref === path || ref.isDescendant(path));
+}
+
+/*
+  The keys of a member expression chain on an identifier, excluding the identifier.
+  String literal keys are static. Other computed keys are nodes, evaluated at runtime.
+    todo.owner.address.city   -> ["owner", "address", "city"]
+    todo["due-date"]          -> ["due-date"]
+    todo.meta[key]            -> ["meta", { type: "Identifier", name: "key" }]
+*/
+export function getMemberKeys(node) {
+  const key =
+    node && node.type === "MemberExpression"
+      ? !node.computed
+        ? node.property.type === "Identifier" ? node.property.name : undefined
+        : node.property.type === "StringLiteral" ? node.property.value : node.property
+      : undefined;
+  return typeof key !== "undefined"
+    ? node.object.type === "Identifier"
+      ? [key]
+      : (() => {
+          const parent = getMemberKeys(node.object);
+          return parent ? parent.concat([key]) : undefined;
+        })()
+    : undefined;
+}
+
+/*
+  The dotted path of a member expression chain on an identifier, excluding the identifier.
+  Chains with runtime keys don't have a path.
+    todo.owner.address.city -> "owner.address.city"
+    todo["due-date"] -> "due-date"
+*/
+export function getFieldPath(node) {
+  const keys = getMemberKeys(node);
+  return keys && keys.every(k => typeof k === "string") ? keys.join(".") : undefined;
+}
+
+/*
+  The identifier at the root of a member expression chain.
+    todo.owner.address.city -> todo
+*/
+export function getRootIdentifier(node) {
+  return node.type === "MemberExpression"
+    ? getRootIdentifier(node.object)
+    : node.type === "Identifier" ? node : undefined;
+}
+
+/*
+  The object on which getTime() is called.
+    todo.dueDate.getTime() -> todo.dueDate
+*/
+export function getTimeObject(node) {
+  return node &&
+    node.type === "CallExpression" &&
+    node.arguments.length === 0 &&
+    node.callee.type === "MemberExpression" &&
+    !node.callee.computed &&
+    node.callee.property.name === "getTime"
+    ? node.callee.object
+    : undefined;
+}
+
+/*
+  The operand of a conversion to number. scope is where the node is; Number must be the
+  global there.
+    Number(todo.pinned) -> todo.pinned
+    +todo.pinned -> todo.pinned
+*/
+export function getNumberOperand(node, scope) {
+  return node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "Number" &&
+    !scope.getBinding("Number") &&
+    node.arguments.length === 1
+    ? node.arguments[0]
+    : node && node.type === "UnaryExpression" && node.operator === "+" ? node.argument : undefined;
+}
+
+/*
+  Are the two nodes the same expression, ignoring locations and formatting?
+    offset + limit, offset+limit
+*/
+export function isSameNode(a, b) {
+  return R.equals(clean(a), clean(b));
+}
+
+export function isIdentifier(node, name) {
+  return node.type === "Identifier" && node.name === name;
+}
@@ -0,0 +1,222 @@
+import { Skip } from "chimpanzee";
+import R from "ramda";
+import clean from "./chimpanzee-utils/node-cleaner";
+
+/*
+  Query parameters.
+  Values known only at runtime are hoisted out of a query into its params list,
+  and replaced in the query with a reference to the param. The query then becomes
+  a template, like a prepared statement.
+
+    async function getTodos(who) {
+      return myDb.todos.filter(todo => todo.assignee === who && todo.priority > 2);
+    }
+
+  gives
+    predicate: {
+      type: "logicalExpression",
+      operator: "&&",
+      expressions: [
+        { ..., field: "assignee", comparandNode: { type: "param", name: "who" } },
+        { ..., field: "priority", comparandNode: { type: "NumericLiteral", value: 2 } }
+      ]
+    },
+    params: [{ name: "who", kind: "parameter", node: { type: "Identifier", name: "who" } }]
+
+  The kind of a param says where its value comes from.
+    parameter     A parameter of an enclosing function.
+    variable      A variable or function declared in an enclosing scope.
+    import        A module import.
+    global        Not declared in the module, eg: Date.
+    expression    Any other expression. references has the kinds of the identifiers in it,
+                  and "this" for this.
+
+  Values found under keys ending in "Node", and the runtime keys of a dynamicField, are
+  considered. Literals stay in the query. A query with values which mean something else
+  where the query is, can't be parameterized; such as those referring to a callback's
+  parameters, or to a variable which is shadowed where the query is.
+    const now = Date.now();
+    const isOverdue = t => t.due < now;
+    function getOverdue(now) { return myDb.todos.filter(isOverdue); }
+*/
+
+const bindingKinds = { param: "parameter", module: "import" };
+
+//Node to path indexes, by program node. A module is indexed once, however many queries it has.
+const nodePathsCache = new WeakMap();
+
+function indexNodePaths(program) {
+  const paths = new Map([[program.node, program]]);
+  program.traverse({
+    enter(p) {
+      paths.set(p.node, p);
+    }
+  });
+  nodePathsCache.set(program.node, paths);
+  return paths;
+}
+
+/*
+  The Babel path of a node in the module.
+  Named callbacks may be declared outside the query, so the whole module is indexed.
+  Other plugins may have replaced nodes since it was indexed; so it is indexed again if the
+  node isn't found.
+*/
+function getNodePath(node, queryPath) {
+  const program = queryPath.scope.getProgramParent().path;
+  const paths = nodePathsCache.get(program.node);
+  return (paths && paths.get(node)) || indexNodePaths(program).get(node);
+}
+
+/*
+  The function which gives this its value; arrow functions don't have their own this.
+*/
+function getThisScope(path) {
+  return path.findParent(p => p.isFunction() && !p.isArrowFunctionExpression());
+}
+
+/*
+  The identifiers and this referenced by an expression, with where they are declared.
+  outer: The reference means the same where the query is; so its value is known before
+  the query runs.
+*/
+function getReferences(path, queryPath) {
+  const references =
+    path.isReferencedIdentifier() || path.isThisExpression()
+      ? [path]
+      : (() => {
+          const state = { references: [] };
+          path.traverse(
+            {
+              ReferencedIdentifier(identifier, state) {
+                state.references.push(identifier);
+              },
+              ThisExpression(expression, state) {
+                state.references.push(expression);
+              }
+            },
+            state
+          );
+          return state.references;
+        })();
+
+  //Names declared within the value, such as a callback's parameters, are part of it.
+  const isDeclaredIn = binding =>
+    !!binding && (binding.scope.path === path || binding.scope.path.isDescendant(path));
+
+  return references
+    .filter(
+      reference =>
+        reference.type === "ThisExpression" ||
+        !isDeclaredIn(reference.scope.getBinding(reference.node.name))
+    )
+    .map(
+      reference =>
+        reference.type === "ThisExpression"
+          ? {
+              name: "this",
+              kind: "this",
+              outer: getThisScope(reference) === getThisScope(queryPath)
+            }
+          : (() => {
+              const name = reference.node.name;
+              const binding = reference.scope.getBinding(name);
+              return {
+                name,
+                kind: binding ? bindingKinds[binding.kind] || "variable" : "global",
+                outer: queryPath.scope.getBinding(name) === binding
+              };
+            })()
+    );
+}
+
+function getUniqueName(base, params) {
+  return (function loop(i) {
+    const name = i === 1 ? base : `${base}${i}`;
+    return params.some(p => p.name === name) ? loop(i + 1) : name;
+  })(1);
+}
+
+/*
+  Returns [replacement, params].
+  The same value used more than once in a query is a single param.
+  Nodes which aren't in the module are made by the analyzer, and must be literals.
+*/
+function hoist(node, env, params) {
+  const path = getNodePath(node, env.queryPath);
+  const references = path ? getReferences(path, env.queryPath) : [];
+  return !path && !/Literal$/.test(node.type)
+    ? new Skip(`A value in the query could not be found in the module.`)
+    : references.some(r => !r.outer)
+      ? new Skip(`A value in the query means something else where the query is.`)
+      : !references.length
+        ? [node, params]
+        : (() => {
+            const existing = params.find(p => R.equals(clean(p.node), clean(node)));
+            return existing
+              ? [{ type: "param", name: existing.name }, params]
+              : (() => {
+                  const param =
+                    node.type === "Identifier"
+                      ? { name: getUniqueName(node.name, params), kind: references[0].kind, node }
+                      : {
+                          name: getUniqueName("param", params),
+                          kind: "expression",
+                          node,
+                          references: R.uniq(references.map(({ name, kind }) => ({ name, kind })))
+                        };
+                  return [{ type: "param", name: param.name }, params.concat([param])];
+                })();
+          })();
+}
+
+/*
+  Returns [result, params], or a Skip if a value can't be hoisted.
+*/
+function walk(obj, env, params) {
+  //Walks each item with fn, threading params through. add puts a result into the accumulator.
+  const walkItems = (items, fn, add, initial) =>
+    items.reduce(
+      (acc, item) =>
+        acc instanceof Skip
+          ? acc
+          : (() => {
+              const walked = fn(item, acc[1]);
+              return walked instanceof Skip ? walked : [add(acc[0], item, walked[0]), walked[1]];
+            })(),
+      [initial, params]
+    );
+
+  const append = (acc, item, result) => acc.concat([result]);
+
+  return Array.isArray(obj)
+    ? walkItems(obj, (item, params) => walk(item, env, params), append, [])
+    : obj && typeof obj === "object"
+      ? walkItems(
+          Object.keys(obj),
+          (key, params) =>
+            /Node$/.test(key) && obj[key]
+              ? hoist(obj[key], env, params)
+              : obj.type === "dynamicField" && key === "keys"
+                ? walkItems(
+                    obj[key],
+                    (k, params) => (typeof k === "string" ? [k, params] : hoist(k, env, params)),
+                    append,
+                    []
+                  )
+                : walk(obj[key], env, params),
+          (acc, key, result) => ({ ...acc, [key]: result }),
+          {}
+        )
+      : [obj, params];
+}
+
+/*
+  Hoists runtime values in an analyzed query into its params list.
+  path is the Babel path of the query.
+  Returns a Skip if a value in the query can't be hoisted.
+*/
+export function parameterize(query, path) {
+  const walked = walk(query, { queryPath: path }, []);
+  return walked instanceof Skip ? walked : { ...walked[0], params: walked[1] };
+}
@@ -0,0 +1,183 @@
+import { isSameNode } from "./chimpanzee-utils/expressions";
+
+/*
+  Predicate IR.
+  Filters, updates and deletes carry a predicate built from these nodes.
+  Fields are dotted paths from the record, eg: "owner.address.city".
+  A field with keys known only at runtime is a dynamicField, whose keys are strings or nodes.
+    todo => todo.meta[key] === x    field: { type: "dynamicField", keys: ["meta", keyNode] }
+  Comparands are Babel nodes, evaluated at runtime. Once a query is analyzed, runtime
+  values are replaced with { type: "param", name }. See db-params.js.
+
+    logicalExpression         { operator: "&&" | "||", expressions }
+    unaryExpression           { operator: "!", argument }
+    binaryFieldExpression     { operator, field, comparandNode, ignoreCase?, valueType? }
+                              { operator, field, otherField, valueType? }
+    binaryComputedExpression  { operator, expression, comparandNode }
+                              { operator, expression, otherExpression }
+    inExpression              { field, comparandNode }
+                              { field, subquery }
+    includesExpression        { field, comparandNode }
+                              { field, otherField }
+    stringMatchExpression     { method: "startsWith" | "endsWith" | "includes", field, comparandNode }
+    regexExpression           { field, pattern, flags }
+                              { field, comparandNode }
+    existsExpression          { field, exists }
+    nullExpression            { field, isNull }
+    typeExpression            { field, valueType }
+    elementExpression         { operator: "some" | "every", field, predicate }
+    joinExpression            { foreign, localField, foreignField }
+
+  Comparison operators are "===", "!==", ">", ">=", "<" and "<=".
+  valueType: "date" says that the values compared are dates. The comparand may be a Date
+  or a timestamp, as in todo.dueDate.getTime() < Date.now().
+
+  An includesExpression is field.includes(value) where the value isn't known to be a string.
+  It is true if the field is an array containing the value, or a string containing it.
+  Only the backend knows the type of the field, and so which of the two it is.
+    todo => todo.tags.includes(tag)
+    todo => todo.title.includes(q)
+
+  A subquery is a query analyzed elsewhere in the same function, mapped to a single field.
+  Its values are the values of that field.
+    const vipIds = myDb.customers.filter(c => c.vip).map(c => c.id);
+    myDb.orders.filter(o => vipIds.includes(o.customerId))
+
+  A joinExpression is true if some record in the foreign query has its foreignField equal
+  to localField. The foreign query is on another collection in the same database.
+    order => myDb.customers.some(c => c.id === order.customerId && c.vip)
+
+  Computed expressions are trees of:
+    { type: "field", field, valueType? }
+    { type: "size", field }
+    { type: "value", valueNode, valueType? }
+    { type: "arithmetic", operator: "+" | "-" | "*" | "/" | "%", left, right }
+
+  A normalized predicate has:
+    1. No nested logicalExpression with the same operator; && and || are n-ary.
+    2. No duplicate expressions in a logicalExpression.
+    3. Negations pushed down to the leaves. unaryExpression is left only around
+       nodes which cannot be inverted, such as regexExpression or todo.priority > 2.
+*/
+
+/*
+  A field from its keys, as a dotted path if every key is known at compile time.
+*/
+export function field(keys) {
+  return keys.every(k => typeof k === "string")
+    ? keys.join(".")
+    : { type: "dynamicField", keys };
+}
+
+export function logicalExpression(operator, expressions) {
+  const flattened = expressions.reduce(
+    (acc, expr) =>
+      expr.type === "logicalExpression" && expr.operator === operator
+        ? acc.concat(expr.expressions)
+        : acc.concat([expr]),
+    []
+  );
+  const unique = flattened.reduce(
+    (acc, expr) => (acc.some(x => isSameNode(x, expr)) ? acc : acc.concat([expr])),
+    []
+  );
+  return unique.length === 1
+    ? unique[0]
+    : { type: "logicalExpression", operator, expressions: unique };
+}
+
+export function unaryExpression(argument) {
+  return { type: "unaryExpression", operator: "!", argument };
+}
+
+export function binaryFieldExpression(operator, field, comparand) {
+  return { type: "binaryFieldExpression", operator, field, ...comparand };
+}
+
+export function binaryComputedExpression(operator, expression, comparand) {
+  return { type: "binaryComputedExpression", operator, expression, ...comparand };
+}
+
+export function inExpression(field, comparand) {
+  return { type: "inExpression", field, ...comparand };
+}
+
+export function includesExpression(field, comparand) {
+  return { type: "includesExpression", field, ...comparand };
+}
+
+export function stringMatchExpression(method, field, comparandNode) {
+  return { type: "stringMatchExpression", method, field, comparandNode };
+}
+
+export function regexExpression(field, regex) {
+  return { type: "regexExpression", field, ...regex };
+}
+
+export function existsExpression(field, exists) {
+  return { type: "existsExpression", field, exists };
+}
+
+export function nullExpression(field, isNull) {
+  return { type: "nullExpression", field, isNull };
+}
+
+export function typeExpression(field, valueType) {
+  return { type: "typeExpression", field, valueType };
+}
+
+export function elementExpression(operator, field, predicate) {
+  return { type: "elementExpression", operator, field, predicate };
+}
+
+export function joinExpression(foreign, localField, foreignField) {
+  return { type: "joinExpression", foreign, localField, foreignField };
+}
+
+/*
+  Only equality can be inverted. !(x > 5) isn't x <= 5; when x is missing, null or NaN
+  the first is true and the second is false.
+*/
+const inverseOperators = {
+  "===": "!==",
+  "!==": "==="
+};
+
+const negateComparison = expr =>
+  inverseOperators[expr.operator]
+    ? { ...expr, operator: inverseOperators[expr.operator] }
+    : unaryExpression(expr);
+
+const negations = {
+  logicalExpression: expr =>
+    logicalExpression(expr.operator === "&&" ? "||" : "&&", expr.expressions.map(negate)),
+  unaryExpression: expr => expr.argument,
+  binaryFieldExpression: negateComparison,
+  binaryComputedExpression: negateComparison,
+  existsExpression: expr => ({ ...expr, exists: !expr.exists }),
+  nullExpression: expr => ({ ...expr, isNull: !expr.isNull }),
+  elementExpression: expr => ({
+    ...expr,
+    operator: expr.operator === "some" ? "every" : "some",
+    predicate: negate(expr.predicate)
+  })
+};
+
+/*
+  Negates a normalized predicate.
+    !(a && b) is !a || !b
+    !(x.items.some(p)) is x.items.every(!p)
+*/
+function negate(expr) {
+  return negations[expr.type] ? negations[expr.type](expr) : unaryExpression(expr);
+}
+
+export function normalize(expr) {
+  return expr.type === "logicalExpression"
+    ? logicalExpression(expr.operator, expr.expressions.map(normalize))
+    : expr.type === "unaryExpression"
+      ? negate(normalize(expr.argument))
+      : expr.type === "elementExpression"
+        ? { ...expr, predicate: normalize(expr.predicate) }
+        : expr;
+}
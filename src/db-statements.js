@@ -1,3 +1,5 @@
+import * as predicates from "./db-predicates";
+
 export function createCollection(args) {
   const { module, identifier, collection } = args;
   return { type: "query", module, identifier, collection };
@@ -15,25 +17,88 @@ export function createModification(operation, props, source) {
   return { type: "modification", operation, ...props, source };
 }
 
+/*
+  Consecutive filters are a single filter with the conjunction of predicates.
+    myDb.todos.filter(t => t.done).filter(t => t.assignee === who)
+*/
 export function filter(command, args) {
   const { predicate } = args;
-  return createQuery("filter", { predicate }, command);
+  return command.operation === "filter"
+    ? createQuery(
+        "filter",
+        { predicate: predicates.logicalExpression("&&", [command.predicate, predicate]) },
+        command.source
+      )
+    : createQuery("filter", { predicate }, command);
 }
 
+/*
+  projection is an expression for each record; see getProjection() in schemas/map.js.
+    todo => ({ owner: todo.assignee })
+    ->
+    {
+      type: "object",
+      properties: [{ key: "owner", expression: { type: "field", field: "assignee" } }]
+    }
+*/
 export function map(command, args) {
-  const { fields } = args;
-  return createQuery("map", { fields }, command);
+  const { projection } = args;
+  return createQuery("map", { projection }, command);
 }
 
+/*
+  from and to are numbers if known at compile time, and fromNode and toNode otherwise.
+  limitNode replaces toNode when the end is the start plus a count, as in slice(offset, offset + limit).
+  Negative numbers count from the end, as in JS. slice(-10) is the last 10 in the current sort order.
+*/
 export function slice(command, args) {
-  const { from, to } = args;
+  const { from, fromNode, to, toNode, limitNode } = args;
   return createQuery(
     "slice",
-    typeof to !== "undefined" ? { from, to } : { from },
+    {
+      ...(typeof fromNode !== "undefined" ? { fromNode } : { from }),
+      ...(typeof toNode !== "undefined"
+        ? { toNode }
+        : typeof limitNode !== "undefined"
+          ? { limitNode }
+          : typeof to !== "undefined" ? { to } : {})
+    },
     command
   );
 }
 
+/*
+  The values of a field, without duplicates.
+    [...new Set(myDb.todos.map(t => t.assignee))]
+*/
+export function distinct(command, args) {
+  const { field } = args;
+  return createQuery("distinct", { field }, command);
+}
+
+/*
+  Records grouped by a field, into an object keyed by the field.
+  accumulator is what each group holds; see getAccumulator() in schemas/group.js.
+    { type: "count" }
+    { type: "sum", field }
+    { type: "push", expression? }     The records, or an expression on each record.
+*/
+export function group(command, args) {
+  const { key, accumulator } = args;
+  return createQuery("group", { key, accumulator }, command);
+}
+
+/*
+  Adds related records from another collection to each record, as the field named by as.
+  foreign is a query on the other collection. Its records whose foreignField equals the
+  record's localField are added; the first of them if single, or else all of them.
+    o => ({ ...o, customer: myDb.customers.find(c => c.id === o.customerId) })
+*/
+export function lookup(command, args) {
+  const { foreign, localField, foreignField, as, single } = args;
+  return createQuery("lookup", { foreign, localField, foreignField, as, single }, command);
+}
+
 export function sort(command, args) {
   const { fields } = args;
   return createQuery("sort", { fields }, command);
@@ -43,6 +108,62 @@ export function count(command) {
   return createValue("count", {}, command);
 }
 
+/*
+  Aggregations of a field over the query.
+    myDb.orders.reduce((s, o) => s + o.total, 0)      sum of "total"
+    Math.max(...myDb.orders.map(o => o.total))       max of "total"
+*/
+export function sum(command, args) {
+  const { field } = args;
+  return createValue("sum", { field }, command);
+}
+
+export function min(command, args) {
+  const { field } = args;
+  return createValue("min", { field }, command);
+}
+
+export function max(command, args) {
+  const { field } = args;
+  return createValue("max", { field }, command);
+}
+
+export function avg(command, args) {
+  const { field } = args;
+  return createValue("avg", { field }, command);
+}
+
+/*
+  The first record in the query, or undefined. find() is first over a filter.
+    myDb.users.find(u => u.email === email)
+*/
+export function first(command) {
+  return createValue("first", {}, command);
+}
+
+/*
+  The position of the first record matching the predicate, or -1.
+  The position is in the query and not in the filtered records, so the predicate is kept here.
+*/
+export function firstIndex(command, args) {
+  const { predicate } = args;
+  return createValue("firstIndex", { predicate }, command);
+}
+
+/*
+  Whether the query has any records. some(p) is exists over filter(p).
+*/
+export function exists(command) {
+  return createValue("exists", {}, command);
+}
+
+/*
+  Whether the query has no records. every(p) is none over filter(!p); no record fails p.
+*/
+export function none(command) {
+  return createValue("none", {}, command);
+}
+
 export function insert(command, args) {
   const { itemsNode } = args;
   return createModification("insert", { itemsNode }, command);
@@ -1,11 +1,16 @@
 import { Seq } from "lazily";
 import { match, Match } from "chimpanzee";
 
-export default function makeAnalyzer(schemas, path, state, analysisState) {
+/*
+  The first schema which matches the path.
+  transform, if given, changes each match before it is taken; it may also turn it into a Skip.
+*/
+export default function makeAnalyzer(schemas, path, state, analysisState, transform = x => x) {
   return (
     Seq.of(schemas)
       .map(schema => schema(state, analysisState))
       .map(schema => match(schema, path))
+      .map(x => (x instanceof Match ? transform(x) : x))
       //.map(x => console.log("\n------\n", util.inspect(x, { depth: 4 })) || print(x, "env.parents") || x)
       .first(x => x instanceof Match)
   );
@@ -0,0 +1,39 @@
+import { Match, Skip } from "chimpanzee";
+import { source } from "../chimpanzee-utils";
+import { count, reduce } from "./";
+import { avg } from "../db-statements";
+import composite from "../chimpanzee-utils/composite";
+import { isSameNode } from "../chimpanzee-utils/expressions";
+
+/*
+  A map() doesn't change the number of records.
+*/
+function withoutMap(query) {
+  return query.operation === "map" ? query.source : query;
+}
+
+/*
+  The sum of a field over a query divided by the count of the same query.
+    myDb.orders.reduce((s, o) => s + o.total, 0) / myDb.orders.length
+*/
+export default function(state, analysisState) {
+  return composite(
+    {
+      type: "BinaryExpression",
+      operator: "/",
+      left: source([reduce])(state, analysisState),
+      right: source([count])(state, analysisState)
+    },
+    {
+      build: obj => context => result =>
+        result instanceof Match
+          ? (() => {
+              const { left, right } = result.value;
+              return left.operation === "sum" && isSameNode(left.source, withoutMap(right.source))
+                ? avg(left.source, { field: left.field })
+                : new Skip(`Not an average; the sum and the count are over different queries.`);
+            })()
+          : result
+    }
+  );
+}
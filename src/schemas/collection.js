@@ -1,8 +1,12 @@
-import { capture, wrap, Match } from "chimpanzee";
+import { capture, wrap, any, Match, Skip } from "chimpanzee";
 import { createCollection } from "../db-statements";
 import { root } from "./";
 import composite from "../chimpanzee-utils/composite";
 
+/*
+  myDb.todos
+  myDb["todos"]
+*/
 export default function(state, analysisState) {
   return composite(
     {
@@ -11,21 +15,25 @@ export default function(state, analysisState) {
         key: "root",
         selector: "path"
       }),
-      property: {
-        type: "Identifier",
-        name: capture("collection")
-      }
+      property: any([
+        { type: "Identifier", name: capture("collection") },
+        { type: "StringLiteral", value: capture("collection") }
+      ])
     },
     {
       build: obj => context => result => {
         return result instanceof Match
-          ? createCollection({
-              identifier: result.value.root.identifier,
-              module: result.value.root.module.find(
-                m => m.name === result.value.collection
-              ).connectionString,
-              collection: result.value.collection
-            })
+          ? obj.node.computed && obj.node.property.type !== "StringLiteral"
+            ? new Skip(`The collection name must be known at compile time, eg: myDb["todos"].`)
+            : (() => {
+                const { collection } = result.value.property;
+                return createCollection({
+                  identifier: result.value.root.identifier,
+                  module: result.value.root.module.find(m => m.name === collection)
+                    .connectionString,
+                  collection
+                });
+              })()
           : result;
       }
     }
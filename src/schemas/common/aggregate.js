@@ -0,0 +1,41 @@
+import { Skip } from "chimpanzee";
+import * as expressions from "../../chimpanzee-utils/expressions";
+import * as arrowFunctions from "../../chimpanzee-utils/arrow-functions";
+import { getComputedExpression } from "./computed";
+
+/*
+  The field in a map() to a single field, with the query it is mapped from.
+    myDb.orders.map(o => o.total)
+*/
+export function getMappedField(query) {
+  return query.operation === "map" &&
+    query.projection.type === "field" &&
+    !query.projection.valueType
+    ? { field: query.projection.field, source: query.source }
+    : new Skip(`Only the values of a map() to a single field can be aggregated.`);
+}
+
+/*
+  The field aggregated over a query, and the query it is aggregated over.
+  The value is a field of the record, or the record itself if the query is a map() to a field.
+  The record is the parameter of the function the value is in.
+    myDb.orders.reduce((s, o) => s + o.total, 0)                   o.total
+    myDb.orders.reduce((s, o) => s + Number(o.total), 0)           Number(o.total)
+    myDb.orders.map(o => o.total).reduce((a, b) => a + b, 0)      b
+    Math.max(...myDb.orders.map(o => o.total))
+*/
+export function getAggregateField(path, query) {
+  return query.operation === "map"
+    ? arrowFunctions.isParameter(path)
+      ? getMappedField(query)
+      : new Skip(`Only the values of a map() to a single field can be aggregated.`)
+    : (() => {
+        const operand = expressions.getNumberOperand(path.node, path.scope)
+          ? path.get(path.type === "CallExpression" ? "arguments.0" : "argument")
+          : path;
+        const expression = getComputedExpression(operand);
+        return expression.type === "field" && !expression.valueType
+          ? { field: expression.field, source: query }
+          : new Skip(`Only a field of the record can be aggregated.`);
+      })();
+}
@@ -0,0 +1,51 @@
+import { capture, Match } from "chimpanzee";
+import { source } from "../../chimpanzee-utils";
+import { collection, map, select, slice, sort } from "../";
+import { getCallbackPredicate } from "./predicate";
+import composite from "../../chimpanzee-utils/composite";
+import { isMatchOrValue } from "../../chimpanzee-utils/results";
+
+/*
+  Array methods which take a predicate callback, called on a query.
+    myDb.users.find(u => u.email === email)
+  build makes the statement from the query and the predicate.
+  With negate, the predicate is negated before build gets it.
+*/
+export default function callbackQuery(method, build, negate = false) {
+  return (state, analysisState) =>
+    composite(
+      {
+        type: "CallExpression",
+        callee: {
+          type: "MemberExpression",
+          object: source([collection, select, sort, slice, map])(state, analysisState),
+          property: {
+            type: "Identifier",
+            name: method
+          }
+        },
+        arguments: [capture({ selector: "path" })]
+      },
+      {
+        build: obj => context => result =>
+          result instanceof Match
+            ? (() => {
+                const predicate = getCallbackPredicate(
+                  result.value.arguments[0],
+                  method,
+                  state,
+                  analysisState,
+                  context,
+                  negate
+                );
+                return isMatchOrValue(predicate)
+                  ? build(result.value.object, predicate)
+                  : predicate;
+              })()
+            : result
+      },
+      {
+        path: { mergeArray: true }
+      }
+    );
+}
@@ -0,0 +1,93 @@
+import { Skip } from "chimpanzee";
+import * as expressions from "../../chimpanzee-utils/expressions";
+import * as arrowFunctions from "../../chimpanzee-utils/arrow-functions";
+
+const arithmeticOperators = ["+", "-", "*", "/", "%"];
+
+function isGlobalDate(path) {
+  return path.type === "Identifier" && path.node.name === "Date" && !path.scope.getBinding("Date");
+}
+
+/*
+  new Date(since), Date.now(), cutoff.getTime()
+*/
+export function isDateValue(path) {
+  return (
+    (path.type === "NewExpression" && isGlobalDate(path.get("callee"))) ||
+    (path.type === "CallExpression" &&
+      path.get("callee").type === "MemberExpression" &&
+      !path.node.callee.computed &&
+      path.node.callee.property.name === "now" &&
+      isGlobalDate(path.get("callee.object"))) ||
+    !!expressions.getTimeObject(path.node)
+  );
+}
+
+/*
+  todo => todo.dueDate.getTime()    -> "dueDate"
+*/
+export function getDateField(path) {
+  const object = expressions.getTimeObject(path.node) ? path.get("callee.object") : undefined;
+  return object ? arrowFunctions.getParameterField(object) : undefined;
+}
+
+export function isArithmeticExpression(path) {
+  return path.type === "BinaryExpression" && arithmeticOperators.includes(path.node.operator);
+}
+
+/*
+  order => order.items.length
+*/
+export function isLengthOfField(path) {
+  return (
+    path.type === "MemberExpression" &&
+    !path.node.computed &&
+    path.node.property.name === "length" &&
+    arrowFunctions.isParameterField(path.get("object"))
+  );
+}
+
+export function hasField(path) {
+  return (
+    arrowFunctions.isParameterField(path) ||
+    !!getDateField(path) ||
+    (isArithmeticExpression(path) && (hasField(path.get("left")) || hasField(path.get("right"))))
+  );
+}
+
+/*
+  Expressions over the record, which is the parameter of the nearest enclosing function.
+  Expressions which don't use the record are values, evaluated before the query.
+    t.owner.name                      { type: "field", field: "owner.name" }
+    t.dueDate.getTime()               { type: "field", field: "dueDate", valueType: "date" }
+    t.tags.length                     { type: "size", field: "tags" }
+    "open", rate                      { type: "value", valueNode }
+    Date.now()                        { type: "value", valueNode, valueType: "date" }
+    t.price * t.quantity              { type: "arithmetic", operator: "*", left, right }
+
+  getOperand builds the operands of arithmetic, for callers which support more expressions.
+*/
+export function getComputedExpression(path, getOperand = getComputedExpression) {
+  return isLengthOfField(path)
+    ? { type: "size", field: arrowFunctions.getParameterField(path.get("object")) }
+    : arrowFunctions.isParameterField(path)
+      ? { type: "field", field: arrowFunctions.getParameterField(path) }
+      : getDateField(path)
+        ? { type: "field", field: getDateField(path), valueType: "date" }
+        : !arrowFunctions.referencesParameter(path, path.getFunctionParent())
+          ? isDateValue(path)
+            ? { type: "value", valueNode: path.node, valueType: "date" }
+            : { type: "value", valueNode: path.node }
+          : isArithmeticExpression(path)
+            ? (() => {
+                const left = getOperand(path.get("left"));
+                const right = getOperand(path.get("right"));
+                return [left, right].find(e => e instanceof Skip) || {
+                  type: "arithmetic",
+                  operator: path.node.operator,
+                  left,
+                  right
+                };
+              })()
+            : new Skip(`Unsupported expression ${path.type} on the record.`);
+}
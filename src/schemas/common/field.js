@@ -0,0 +1,36 @@
+import { builtins as $, Match, Skip } from "chimpanzee";
+import * as expressions from "../../chimpanzee-utils/expressions";
+
+/*
+  Matches a field on an identifier, including nested fields.
+    x.owner.address.city -> { [key]: "owner.address.city" }
+
+  opts.object: Capture the identifier's name into this key.
+  opts.root: The identifier must have this name.
+  opts.valueType: Also match x.dueDate.getTime(), capturing "date" into this key.
+  opts.number: The scope of the field. Also match Number(x.pinned) and +x.pinned, which order
+    the same as x.pinned.
+*/
+export default function field(key, opts = {}) {
+  return $.func(
+    (obj, _key, parents, parentKeys) => context => {
+      const env = { obj, key: _key, parents, parentKeys };
+      const operand = (opts.number && expressions.getNumberOperand(obj, opts.number)) || obj;
+      const timeObject = opts.valueType ? expressions.getTimeObject(operand) : undefined;
+      const member = timeObject || operand;
+      const fieldPath = expressions.getFieldPath(member);
+      const root = fieldPath ? expressions.getRootIdentifier(member) : undefined;
+      return root && (!opts.root || opts.root === root.name)
+        ? new Match(
+            {
+              [key]: fieldPath,
+              ...(opts.object ? { [opts.object]: root.name } : {}),
+              ...(timeObject ? { [opts.valueType]: "date" } : {})
+            },
+            env
+          )
+        : new Skip(`Expected a field on ${opts.root || "an identifier"}.`, env);
+    },
+    { replace: true }
+  );
+}
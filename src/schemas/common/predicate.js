@@ -1,8 +1,20 @@
-import { capture, Match, Skip, builtins as $ } from "chimpanzee";
+import { parse, capture, Match, Skip, builtins as $ } from "chimpanzee";
 import composite from "../../chimpanzee-utils/composite";
 import * as expressions from "../../chimpanzee-utils/expressions";
 import * as arrowFunctions from "../../chimpanzee-utils/arrow-functions";
 import { isMatchOrValue } from "../../chimpanzee-utils/results";
+import {
+  getComputedExpression,
+  getDateField,
+  hasField,
+  isArithmeticExpression,
+  isDateValue,
+  isLengthOfField
+} from "./computed";
+import * as predicates from "../../db-predicates";
+import { filter } from "../../db-statements";
+import { source } from "../../chimpanzee-utils";
+import { collection, map, select, slice, sort } from "../";
 import util from "util";
 
 function memberOnFilterParam(path, filterParam) {
@@ -13,17 +25,511 @@ function memberOnFilterParam(path, filterParam) {
   );
 }
 
-function getOperator(op, flipOperator) {
-  const map = [
-    [["==", "==="], ["$eq"]],
-    [[">"], ["$gt", "$lte"]],
-    [[">="], ["$gte", "$lt"]],
-    [["<="], ["$lte", "$gt"]],
-    [["<"], ["$lt", "$gte"]],
-    [["!=", "!=="], ["$ne"]]
-  ];
-  const match = map.find(([jsOperators, dbOperators]) => jsOperators.includes(op.node));
-  return match ? (!flipOperator ? match[1][0] : match[1][1] || match[1][0]) : undefined;
+/*
+  Comparison operators, canonicalized to the form used in the predicate IR.
+  swap: The field is on the right side. eg: 2 < todo.priority
+*/
+function getOperator(op, swap) {
+  const swapped = { ">": "<", ">=": "<=", "<": ">", "<=": ">=" };
+  const canonical = { "==": "===", "===": "===", "!=": "!==", "!==": "!==" };
+  const jsOperator = swap ? swapped[op.node] || op.node : op.node;
+  return (
+    canonical[jsOperator] ||
+    (["<", "<=", ">", ">="].includes(jsOperator) ? jsOperator : undefined)
+  );
+}
+
+/*
+  Values which are known to be strings at compile time.
+    `#${tag}`, q.toLowerCase(), "." + ext
+  A plain string literal isn't included; it is just as likely to be an array element.
+    todo => todo.tags.includes("archived")
+*/
+function isStringExpression(path) {
+  return (
+    path.type === "TemplateLiteral" ||
+    !!getCaseConversion(path) ||
+    (path.type === "BinaryExpression" &&
+      path.node.operator === "+" &&
+      [path.get("left"), path.get("right")].some(
+        p => p.type === "StringLiteral" || isStringExpression(p)
+      ))
+  );
+}
+
+/*
+  Returns the method name if the path is x.toLowerCase() or x.toUpperCase().
+*/
+function getCaseConversion(path) {
+  return path.type === "CallExpression" &&
+    path.node.arguments.length === 0 &&
+    path.get("callee").type === "MemberExpression" &&
+    !path.node.callee.computed &&
+    ["toLowerCase", "toUpperCase"].includes(path.node.callee.property.name)
+    ? path.node.callee.property.name
+    : undefined;
+}
+
+/*
+  Values compared with a field are evaluated before the query, so they can't use the record.
+    todo => todo.title.startsWith(todo.prefix.trim())
+*/
+function usesRecord(env, path) {
+  return arrowFunctions.referencesParameter(path, env.path.getFunctionParent());
+}
+
+function stringMethod(method) {
+  return (env, object, arg) =>
+    arrowFunctions.isParameterField(object)
+      ? arrowFunctions.isParameterField(arg)
+        ? new Skip(`Comparing two fields in the same object is not supported.`, env)
+        : usesRecord(env, arg)
+          ? new Skip(`The argument of ${method}() can't use the record.`, env)
+          : predicates.stringMatchExpression(
+              method,
+              arrowFunctions.getParameterField(object),
+              arg.node
+            )
+      : new Skip(`String methods in a predicate must be called on a field of the collection.`, env);
+}
+
+/*
+  Predicates on the elements of an array field, analyzed with the callback's parameter.
+    order => order.items.some(item => item.sku === sku)
+    order => order.items.every(item => item.shipped)
+  The callback can't use the record itself, as in item => item.qty > order.minQty.
+*/
+function elementMethod(operator) {
+  return (env, object, arg) => {
+    const fn = arrowFunctions.resolveFunction(arg);
+    const body = fn ? arrowFunctions.getReturnedExpression(fn) : undefined;
+    return arrowFunctions.isParameterField(object)
+      ? body && body.node
+        ? arrowFunctions.referencesParameter(body, env.path.getFunctionParent())
+          ? new Skip(`The callback of ${operator}() can't refer to the record.`, env)
+          : (() => {
+              const predicate = visit({ ...env, path: body });
+              return isMatchOrValue(predicate)
+                ? predicates.elementExpression(
+                    operator,
+                    arrowFunctions.getParameterField(object),
+                    predicate
+                  )
+                : predicate;
+            })()
+        : new Skip(`The callback must be a function which returns a single expression.`, env)
+      : new Skip(`some() and every() must be called on a field of the collection.`, env);
+  };
+}
+
+/*
+  vipIds.includes(o.customerId)    vipIds
+*/
+function isIncludesObject(path) {
+  const member = path.parentPath;
+  return (
+    member.type === "MemberExpression" &&
+    member.node.object === path.node &&
+    !member.node.computed &&
+    member.node.property.name === "includes" &&
+    member.parentPath.type === "CallExpression" &&
+    member.parentPath.node.callee === member.node
+  );
+}
+
+/*
+  A query assigned to a constant earlier in the same function, with the values of a single field.
+  A constant array can still be changed, as in vipIds.push(id); so the constant may only be
+  used in includes().
+    const vipIds = myDb.customers.filter(c => c.vip).map(c => c.id);
+    return myDb.orders.filter(o => vipIds.includes(o.customerId));
+*/
+function getSubquery(path, { state, analysisState, context }) {
+  const binding = path.type === "Identifier" ? path.scope.getBinding(path.node.name) : undefined;
+  const declarator =
+    binding &&
+    binding.constant &&
+    binding.path.type === "VariableDeclarator" &&
+    binding.referencePaths.every(isIncludesObject)
+      ? binding.path
+      : undefined;
+  const init = declarator && declarator.node.init ? declarator.get("init") : undefined;
+  const queryPath = init && init.type === "AwaitExpression" ? init.get("argument") : init;
+  const fn = declarator ? declarator.getFunctionParent() : undefined;
+  return queryPath &&
+    fn &&
+    fn.isFunction() &&
+    path.isDescendant(fn) &&
+    declarator.node.end < path.node.start
+    ? (() => {
+        const result = parse(source([collection, select, sort, slice, map])(state, analysisState))(
+          queryPath
+        )(context);
+        return result instanceof Match && isSingleFieldQuery(result.value)
+          ? result.value
+          : undefined;
+      })()
+    : undefined;
+}
+
+/*
+  A map() to a field, or to an object with a single field.
+    c => c.id
+    c => ({ id: c.id })
+*/
+function isSingleFieldQuery(query) {
+  const { projection } = query;
+  return (
+    query.operation === "map" &&
+    (projection.type === "field" ||
+      (projection.type === "object" &&
+        projection.properties.length === 1 &&
+        projection.properties[0].expression.type === "field"))
+  );
+}
+
+/*
+  Methods allowed in a predicate, called with a single argument.
+*/
+const methods = {
+  /*
+    todo => [1, 2, 3].includes(todo.priority)     inExpression
+    todo => doneIds.includes(todo.id)             inExpression, a subquery if doneIds is a query
+    todo => todo.tags.includes(tag)               includesExpression
+    todo => todo.title.includes(q)                includesExpression
+    todo => todo.approvers.includes(todo.owner)   includesExpression, with otherField
+    todo => todo.title.includes(`#${tag}`)        stringMatchExpression
+
+    On a string, includes() finds the field as a substring of the value, which isn't supported.
+      todo => "abcdef".includes(todo.code)
+
+    An array field and a string field look the same here. Unless the argument is known to be
+    a string, todo.x.includes(y) is an includesExpression, for the backend to resolve.
+  */
+  includes(env, object, arg) {
+    return arrowFunctions.isParameterField(arg)
+      ? object.type === "StringLiteral" || isStringExpression(object)
+        ? new Skip(`A field can't be found as a substring of a value with includes().`, env)
+        : !arrowFunctions.isParameterField(object)
+          ? usesRecord(env, object)
+            ? new Skip(`The array in includes() can't use the record.`, env)
+            : (() => {
+                const subquery = getSubquery(object, env);
+                return subquery
+                  ? predicates.inExpression(arrowFunctions.getParameterField(arg), { subquery })
+                  : predicates.inExpression(arrowFunctions.getParameterField(arg), {
+                      comparandNode: object.node
+                    });
+              })()
+          : predicates.includesExpression(arrowFunctions.getParameterField(object), {
+              otherField: arrowFunctions.getParameterField(arg)
+            })
+      : arrowFunctions.isParameterField(object)
+        ? isStringExpression(arg)
+          ? stringMethod("includes")(env, object, arg)
+          : usesRecord(env, arg)
+            ? new Skip(`The argument of includes() can't use the record.`, env)
+            : predicates.includesExpression(arrowFunctions.getParameterField(object), {
+                comparandNode: arg.node
+              })
+        : new Skip(
+            `Neither the array nor the argument of includes() referenced the database collection.`,
+            env
+          );
+  },
+
+  /*
+    On another collection, some() is a semi-join. See getJoin().
+      order => myDb.customers.some(c => c.id === order.customerId && c.vip)
+  */
+  some(env, object, arg) {
+    return arrowFunctions.isParameterField(object)
+      ? elementMethod("some")(env, object, arg)
+      : (() => {
+          const join = getJoin(object, arg, env.path.getFunctionParent(), env);
+          return join instanceof Skip
+            ? join
+            : predicates.joinExpression(join.foreign, join.localField, join.foreignField);
+        })();
+  },
+
+  every: elementMethod("every"),
+
+  /*
+    todo => todo.hasOwnProperty("dueDate")
+    todo => todo.meta.hasOwnProperty(key)
+  */
+  hasOwnProperty(env, object, arg) {
+    const field = getPropertyField(object, arg);
+    return field
+      ? predicates.existsExpression(field, true)
+      : new Skip(`hasOwnProperty() must be called on the record or one of its fields.`, env);
+  },
+
+  /*
+    todo => todo.title.startsWith(q)
+  */
+  startsWith: stringMethod("startsWith"),
+
+  /*
+    todo => todo.title.endsWith(".pdf")
+  */
+  endsWith: stringMethod("endsWith"),
+
+  /*
+    todo => /^urgent/i.test(todo.title)
+    todo => new RegExp("^urgent", "i").test(todo.title)
+    todo => new RegExp(q).test(todo.title)
+
+    Patterns known at compile time are captured as pattern and flags.
+    Otherwise the RegExp is emitted as a comparandNode.
+  */
+  test(env, object, arg) {
+    const isLiteralRegExpConstructor =
+      object.type === "NewExpression" &&
+      object.get("callee").type === "Identifier" &&
+      object.node.callee.name === "RegExp" &&
+      !object.scope.getBinding("RegExp") &&
+      [1, 2].includes(object.node.arguments.length) &&
+      object.node.arguments.every(a => a.type === "StringLiteral");
+
+    return arrowFunctions.isParameterField(arg)
+      ? !arrowFunctions.isParameterField(object)
+        ? predicates.regexExpression(
+            arrowFunctions.getParameterField(arg),
+            object.type === "RegExpLiteral"
+              ? { pattern: object.node.pattern, flags: object.node.flags }
+              : isLiteralRegExpConstructor
+                ? {
+                    pattern: object.node.arguments[0].value,
+                    flags: object.node.arguments[1] ? object.node.arguments[1].value : ""
+                  }
+                : { comparandNode: object.node }
+          )
+        : new Skip(`Comparing two fields in the same object is not supported.`, env)
+      : new Skip(`The argument of test() in a predicate must be a field of the collection.`, env);
+  }
+};
+
+/*
+  todo => todo.title.toLowerCase() === q.toLowerCase()
+  todo => todo.title.toUpperCase() !== "DONE"
+*/
+function getCaseInsensitiveComparison(env) {
+  const { path } = env;
+  const operator = path.node.operator;
+  const left = path.get("left");
+  const right = path.get("right");
+
+  const isEquality = ["==", "==="].includes(operator);
+  const isInequality = ["!=", "!=="].includes(operator);
+
+  //A string literal is already converted if converting it changes nothing.
+  const isConverted = (path, conversion) =>
+    getCaseConversion(path) === conversion ||
+    (path.type === "StringLiteral" && path.node.value[conversion]() === path.node.value);
+
+  const unconverted = path =>
+    getCaseConversion(path) ? path.get("callee.object") : path;
+
+  const parts = [[left, right], [right, left]];
+  const match = parts.find(([first, second]) => {
+    const conversion = getCaseConversion(first);
+    return (
+      conversion &&
+      arrowFunctions.isParameterField(first.get("callee.object")) &&
+      isConverted(second, conversion)
+    );
+  });
+
+  return (isEquality || isInequality) && match
+    ? (() => {
+        const [first, second] = match;
+        const field = unconverted(first);
+        const value = unconverted(second);
+        return !arrowFunctions.isParameterField(value)
+          ? {
+              ...predicates.binaryFieldExpression(
+                isEquality ? "===" : "!==",
+                arrowFunctions.getParameterField(field),
+                { comparandNode: value.node }
+              ),
+              ignoreCase: true
+            }
+          : new Skip(`Comparing two fields in the same object is not supported.`, env);
+      })()
+    : undefined;
+}
+
+function isUndefined(path) {
+  return (
+    (path.type === "Identifier" &&
+      path.node.name === "undefined" &&
+      !path.scope.getBinding("undefined")) ||
+    (path.type === "UnaryExpression" &&
+      path.node.operator === "void" &&
+      path.get("argument").type === "NumericLiteral")
+  );
+}
+
+function isTypeofField(path) {
+  return (
+    path.type === "UnaryExpression" &&
+    path.node.operator === "typeof" &&
+    arrowFunctions.isParameterField(path.get("argument"))
+  );
+}
+
+/*
+  The field named by a property key on a record or on one of its fields.
+  A key which isn't a string literal gives a dynamicField.
+    "dueDate" in todo         -> "dueDate"
+    "dueDate" in todo.meta    -> "meta.dueDate"
+    key in todo.meta          -> { type: "dynamicField", keys: ["meta", keyNode] }
+*/
+function getPropertyField(object, key) {
+  const keys = arrowFunctions.isParameter(object)
+    ? []
+    : arrowFunctions.getParameterFieldKeys(object);
+  return keys && !arrowFunctions.isParameterField(key) && !arrowFunctions.isParameter(key)
+    ? predicates.field(keys.concat([key.type === "StringLiteral" ? key.node.value : key.node]))
+    : undefined;
+}
+
+/*
+  Existence, null and type checks.
+    todo => todo.deletedAt === undefined      existsExpression, exists: false
+    todo => todo.assignee != null             nullExpression, isNull: false (null or missing)
+    todo => todo.assignee === null            typeExpression, valueType: "null"
+    todo => typeof todo.score === "number"    typeExpression, valueType: "number"
+*/
+function getExistenceCheck(env) {
+  const { path } = env;
+  const operator = path.node.operator;
+  const left = path.get("left");
+  const right = path.get("right");
+
+  const isEquality = ["==", "==="].includes(operator);
+  const isInequality = ["!=", "!=="].includes(operator);
+  const isStrict = ["===", "!=="].includes(operator);
+
+  const parts = [[left, right], [right, left]];
+  const match = parts.find(
+    ([first, second]) =>
+      (arrowFunctions.isParameterField(first) &&
+        (isUndefined(second) || second.type === "NullLiteral")) ||
+      (isTypeofField(first) && second.type === "StringLiteral")
+  );
+
+  const check = ([first, second]) =>
+    isTypeofField(first)
+      ? (() => {
+          const field = arrowFunctions.getParameterField(first.get("argument"));
+          return second.node.value === "undefined"
+            ? predicates.existsExpression(field, false)
+            : predicates.typeExpression(field, second.node.value);
+        })()
+      : (() => {
+          const field = arrowFunctions.getParameterField(first);
+          return !isStrict
+            ? predicates.nullExpression(field, true)
+            : isUndefined(second)
+              ? predicates.existsExpression(field, false)
+              : predicates.typeExpression(field, "null");
+        })();
+
+  return (isEquality || isInequality) && match
+    ? isEquality ? check(match) : predicates.unaryExpression(check(match))
+    : undefined;
+}
+
+/*
+  Comparisons of date fields, with valueType: "date" so that backends can compare them as dates.
+    todo => todo.createdAt > new Date(since)        comparandNode
+    todo => todo.dueDate < Date.now()               comparandNode
+    todo => todo.dueDate.getTime() < cutoff         comparandNode
+    todo => todo.doneAt.getTime() > todo.dueDate.getTime()   otherField
+*/
+function getDateComparison(env) {
+  const { path } = env;
+  const left = path.get("left");
+  const right = path.get("right");
+
+  const fieldOf = p => getDateField(p) || arrowFunctions.getParameterField(p);
+  const parts = [[left, right, false], [right, left, true]];
+  const match = parts.find(
+    ([first, second]) =>
+      fieldOf(first) && (getDateField(first) || getDateField(second) || isDateValue(second))
+  );
+  const operator = match ? getOperator(path.get("operator"), match[2]) : undefined;
+
+  return operator
+    ? (() => {
+        const [first, second] = match;
+        return {
+          ...predicates.binaryFieldExpression(
+            operator,
+            fieldOf(first),
+            fieldOf(second) ? { otherField: fieldOf(second) } : { comparandNode: second.node }
+          ),
+          valueType: "date"
+        };
+      })()
+    : undefined;
+}
+
+/*
+  Comparisons with computed operands.
+    todo => todo.price * todo.quantity > 1000     expression, comparandNode
+    todo => todo.score + bonus >= threshold       expression, comparandNode
+    todo => todo.spent > todo.budget * 1.1        expression, otherExpression
+    order => order.items.length > 2               expression, comparandNode
+*/
+function getArithmeticComparison(env) {
+  const { path } = env;
+  const left = path.get("left");
+  const right = path.get("right");
+
+  const isComparison = ["==", "===", "!=", "!==", ">", ">=", "<", "<="].includes(
+    path.node.operator
+  );
+
+  const parts = [[left, right, false], [right, left, true]];
+  const match = parts.find(([first]) => hasField(first));
+
+  return isComparison &&
+    [left, right].some(p => (isArithmeticExpression(p) && hasField(p)) || isLengthOfField(p)) &&
+    match
+    ? (() => {
+        const [first, second, swap] = match;
+        const expression = getComputedExpression(first);
+        const other = getComputedExpression(second);
+        return [expression, other].find(e => e instanceof Skip) ||
+          predicates.binaryComputedExpression(
+            getOperator(path.get("operator"), swap),
+            expression,
+            other.type === "value" ? { comparandNode: second.node } : { otherExpression: other }
+          );
+      })()
+    : undefined;
+}
+
+/*
+  todo => "dueDate" in todo
+  todo => key in todo.meta
+*/
+function getInCheck(env) {
+  const { path } = env;
+  const left = path.get("left");
+  const right = path.get("right");
+  return path.node.operator === "in"
+    ? (() => {
+        const field = getPropertyField(right, left);
+        return field
+          ? predicates.existsExpression(field, true)
+          : new Skip(`The right side of 'in' must be the record or one of its fields.`, env);
+      })()
+    : undefined;
 }
 
 const visitors = {
@@ -31,107 +537,275 @@ const visitors = {
     CallExpression:
       todo => [1, 2, 3, 4, 5].includes(todo.priority)
       todo => approvers.includes(todo.createdBy)
-      todo => todo.approvers.includes(todo.createdBy)
+      todo => todo.tags.includes(tag)
+      todo => todo.title.startsWith(q)
+      todo => /^urgent/i.test(todo.title)
   */
-  CallExpression(env, negate) {
+  CallExpression(env) {
     const { path, key, parents, parentKeys } = env;
+    const callee = path.get("callee");
+    const args = path.get("arguments");
+
+    return callee.type === "MemberExpression" &&
+      !callee.node.computed &&
+      Object.keys(methods).includes(callee.node.property.name)
+      ? args.length !== 1
+        ? new Skip(
+            `${callee.node.property.name}() in a predicate must have exactly one argument.`,
+            env
+          )
+        : args[0].type === "SpreadElement"
+          ? new Skip(`Spread arguments are not supported in a predicate.`, env)
+          : methods[callee.node.property.name](env, callee.get("object"), args[0])
+      : new Skip(`Unsupported function call in predicate.`, env);
   },
 
   /*
     todo => todo.x == 1 && todo.y === 2
   */
-  LogicalExpression(env, negate) {
+  LogicalExpression(env) {
     const { path, key, parents, parentKeys } = env;
     const node = path.node;
     const left = path.get("left");
     const right = path.get("right");
 
-    const operator = node.operator === "&&"
-      ? negate ? "$or" : "$and"
-      : node.operator === "||"
-        ? negate ? "$and" : "$or"
-        : new Skip(`Unsupported operator ${node.operator} in LogicalExpression.`, env);
-
-    return isMatchOrValue(operator)
+    return ["&&", "||"].includes(node.operator)
       ? (() => {
-          const leftVal = visitors[left.type]({ ...env, path: left }, negate);
+          const leftVal = visit({ ...env, path: left });
           return isMatchOrValue(leftVal)
             ? (() => {
-                const rightVal = visitors[right.type]({ ...env, path: right }, negate);
+                const rightVal = visit({ ...env, path: right });
                 return isMatchOrValue(rightVal)
-                  ? {
-                      operator,
-                      left: leftVal,
-                      right: rightVal
-                    }
+                  ? predicates.logicalExpression(node.operator, [leftVal, rightVal])
                   : rightVal;
               })()
             : leftVal;
         })()
-      : operator;
+      : new Skip(`Unsupported operator ${node.operator} in LogicalExpression.`, env);
   },
 
   /*
     todo => todo.x === 10
   */
-  BinaryExpression(env, negate) {
+  BinaryExpression(env) {
     const { path, key, parents, parentKeys } = env;
     const node = path.node;
     const left = path.get("left");
     const right = path.get("right");
 
     //See if left or right references the collection variable.
-    const parts = [[left, right, !!negate], [right, left, !negate]];
-    const fieldOpAndVal = (function loop(_parts) {
-      const [first, second, flipOperator] = _parts[0];
-
-      //We're going to disallow operations which compare two fields on the same object/row
-      //  NOT ALLOWED: todo => todo.likeCount > todo.dislikeCount
-      return arrowFunctions.isMemberExpressionDefinedOnParameter(first)
-        ? !arrowFunctions.isMemberExpressionDefinedOnParameter(second)
-          ? {
-              operator: getOperator(path.get("operator"), flipOperator),
-              field: first.node.property.name,
-              valueNode: second.node
-            }
-          : new Skip(`Comparing two fields in the same object is not supported.`, env)
-        : _parts.length > 1
-          ? loop(_parts.slice(1))
-          : new Skip(
-              `Neither of the fields in the predicate expression referenced the database collection.`,
-              env
-            );
-    })(parts);
-
-    return fieldOpAndVal;
+    const parts = [[left, right, false], [right, left, true]];
+    const comparison = _parts =>
+      (function loop(_parts) {
+        const [first, second, swap] = _parts[0];
+        const operator = getOperator(path.get("operator"), swap);
+
+        //Comparing two fields on the same object/row gives an otherField instead of a comparandNode.
+        //  todo => todo.likeCount > todo.dislikeCount
+        //A comparandNode is evaluated before the query, so it can't use the record otherwise.
+        //  todo => todo.a === Math.max(todo.b, 1)
+        return arrowFunctions.isParameterField(first)
+          ? !operator
+            ? new Skip(`Unsupported operator ${node.operator} in predicate.`, env)
+            : arrowFunctions.isParameterField(second)
+              ? predicates.binaryFieldExpression(
+                  operator,
+                  arrowFunctions.getParameterField(first),
+                  { otherField: arrowFunctions.getParameterField(second) }
+                )
+              : usesRecord(env, second)
+                ? new Skip(`The value compared with a field can't use the record.`, env)
+                : predicates.binaryFieldExpression(
+                    operator,
+                    arrowFunctions.getParameterField(first),
+                    { comparandNode: second.node }
+                  )
+          : _parts.length > 1
+            ? loop(_parts.slice(1))
+            : new Skip(
+                `Neither of the fields in the predicate expression referenced the database collection.`,
+                env
+              );
+      })(_parts);
+
+    return (
+      getInCheck(env) ||
+      getExistenceCheck(env) ||
+      getCaseInsensitiveComparison(env) ||
+      getDateComparison(env) ||
+      getArithmeticComparison(env) ||
+      comparison(parts)
+    );
   },
 
   /*
     todo => todo.incomplete
+    order => order.items.length
   */
-  MemberExpression(env, negate) {
+  MemberExpression(env) {
     const { path, key, parents, parentKeys } = env;
-    return {
-      operator: "$eq",
-      field: path.node.property.name,
-      valueNode: { type: "BooleanLiteral", value: !negate }
-    };
+    return isLengthOfField(path)
+      ? predicates.binaryComputedExpression(">", getComputedExpression(path), {
+          comparandNode: { type: "NumericLiteral", value: 0 }
+        })
+      : arrowFunctions.isParameterField(path)
+        ? predicates.binaryFieldExpression("===", arrowFunctions.getParameterField(path), {
+            comparandNode: { type: "BooleanLiteral", value: true }
+          })
+        : new Skip(`The expression does not reference a field of the collection.`, env);
+  },
+
+  /*
+    ({ incomplete }) => incomplete
+  */
+  Identifier(env) {
+    return visitors.MemberExpression(env);
   },
 
   /*
     todo => !todo.incomplete
   */
-  UnaryExpression(env, negate) {
+  UnaryExpression(env) {
     const { path, key, parents, parentKeys } = env;
-    return path.operator === "!"
-      ? Object.keys(visitors).includes(path.type)
-        ? visitors[path.type]({ ...env, path: path.get("argument") }, !negate)
-        : new Skip(`Unsupported type ${path.type} in UnaryExpression.`, env)
+    return path.node.operator === "!"
+      ? (() => {
+          const argument = visit({ ...env, path: path.get("argument") });
+          return isMatchOrValue(argument) ? predicates.unaryExpression(argument) : argument;
+        })()
       : new Skip(`Only '!' is supported as the operator in a UnaryExpression.`, env);
   }
 };
 
-export default function(state, analysisState, negate) {
-  return (path, key, parents, parentKeys) => context =>
-    visitors[path.type]({ path, key, parents, parentKeys }, negate);
+function visit(env) {
+  return Object.keys(visitors).includes(env.path.type)
+    ? visitors[env.path.type](env)
+    : new Skip(`Unsupported expression ${env.path.type} in predicate.`, env);
+}
+
+/*
+  Returns a normalized predicate. See db-predicates.js.
+*/
+export default function predicate(state, analysisState, negate) {
+  return (path, key, parents, parentKeys) => context => {
+    const predicate = visit({ path, key, parents, parentKeys, state, analysisState, context });
+    return isMatchOrValue(predicate)
+      ? predicates.normalize(negate ? predicates.unaryExpression(predicate) : predicate)
+      : predicate;
+  };
+}
+
+/*
+  The predicate returned by a callback, such as the argument to filter(), find() or some().
+  Returns a Skip if the callback doesn't take a single parameter and return a single expression.
+    (t, i) => t.x === i     i is the index in the array, which has no meaning in a query.
+*/
+export function getCallbackPredicate(path, method, state, analysisState, context, negate) {
+  const fn = arrowFunctions.resolveFunction(path);
+  const body = fn ? arrowFunctions.getReturnedExpression(fn) : undefined;
+  return !fn || fn.node.params.length !== 1
+    ? new Skip(`The argument to ${method}() must be a function with a single parameter.`)
+    : body && body.node
+      ? parse($.func(predicate(state, analysisState, negate), { selector: "path" }))(body)(context)
+      : new Skip(
+          `The argument to ${method}() must be a function which returns a single expression.`
+        );
+}
+
+/*
+  The conditions in a chain of &&.
+*/
+function getConditions(path) {
+  return path.type === "LogicalExpression" && path.node.operator === "&&"
+    ? getConditions(path.get("left")).concat(getConditions(path.get("right")))
+    : [path];
+}
+
+/*
+  The fields compared by a join condition; a field of the other collection's record
+  and a field of the outer function's record.
+    c => c.id === order.customerId      { foreignField: "id", localField: "customerId" }
+*/
+function getJoinFields(condition, outerFn) {
+  const getFields = (foreign, local) => {
+    const foreignField = arrowFunctions.getParameterField(foreign);
+    const localField = arrowFunctions.getParameterField(local, outerFn);
+    return typeof foreignField === "string" && typeof localField === "string"
+      ? { localField, foreignField }
+      : undefined;
+  };
+  return condition.type === "BinaryExpression" && ["==", "==="].includes(condition.node.operator)
+    ? getFields(condition.get("left"), condition.get("right")) ||
+        getFields(condition.get("right"), condition.get("left"))
+    : undefined;
+}
+
+/*
+  Joins are between collections in the same database module.
+  The outer query is known if the outer function is an argument to a method on it;
+  otherwise it can't be a join.
+*/
+function isSameDatabase(queryPath, outerFn) {
+  const outerCall = outerFn.parentPath;
+  const outerRoot =
+    outerCall.type === "CallExpression" && outerCall.get("callee").type === "MemberExpression"
+      ? expressions.getIdentifier(outerCall.get("callee.object"))
+      : undefined;
+  const root = expressions.getIdentifier(queryPath);
+  return (
+    !!outerRoot &&
+    !!root &&
+    root.node.name === outerRoot.node.name &&
+    root.scope.getBinding(root.node.name) === outerRoot.scope.getBinding(outerRoot.node.name)
+  );
+}
+
+/*
+  A join between the records of an outer function and another collection.
+  The callback on the other collection compares one of its fields to a field of the outer
+  record with ===. Its other conditions filter the other collection, so they can't use the
+  outer record.
+    order => myDb.customers.some(c => c.id === order.customerId && c.vip)
+  gives
+    { foreign: <customers, filtered on vip>, localField: "customerId", foreignField: "id" }
+*/
+export function getJoin(queryPath, callbackPath, outerFn, { state, analysisState, context }) {
+  const foreign = parse(source([collection, select])(state, analysisState))(queryPath)(context);
+  const fn = arrowFunctions.resolveFunction(callbackPath);
+  const body = fn ? arrowFunctions.getReturnedExpression(fn) : undefined;
+  return !(foreign instanceof Match)
+    ? new Skip(`A join must be on a collection in the database.`)
+    : !outerFn || !isSameDatabase(queryPath, outerFn)
+      ? new Skip(`A join must be between collections in the same database module.`)
+      : !body || !body.node
+        ? new Skip(`The callback in a join must be a function which returns a single expression.`)
+        : (() => {
+            const conditions = getConditions(body);
+            const keyIndex = conditions.findIndex(c => getJoinFields(c, outerFn));
+            return keyIndex === -1
+              ? new Skip(`A join must compare a field with a field of the outer record, using ===.`)
+              : (() => {
+                  const { localField, foreignField } = getJoinFields(conditions[keyIndex], outerFn);
+                  const rest = conditions
+                    .filter((c, i) => i !== keyIndex)
+                    .map(
+                      c =>
+                        arrowFunctions.referencesParameter(c, outerFn)
+                          ? new Skip(`The other conditions in a join can't use the outer record.`)
+                          : visit({ path: c, state, analysisState, context })
+                    );
+                  return (
+                    rest.find(r => !isMatchOrValue(r)) || {
+                      foreign: rest.length
+                        ? filter(foreign.value, {
+                            predicate: predicates.normalize(
+                              predicates.logicalExpression("&&", rest)
+                            )
+                          })
+                        : foreign.value,
+                      localField,
+                      foreignField
+                    }
+                  );
+                })();
+          })();
 }
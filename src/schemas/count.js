@@ -1,5 +1,6 @@
-import { collection } from "./";
-import { capture, any, Match } from "chimpanzee";
+import { source } from "../chimpanzee-utils";
+import { collection, map, select, slice, sort } from "./";
+import { Match } from "chimpanzee";
 import { count } from "../db-statements";
 import composite from "../chimpanzee-utils/composite";
 
@@ -7,7 +8,7 @@ export default function(state, analysisState) {
   return composite(
     {
       type: "MemberExpression",
-      object: any([collection].map(fn => fn(state, analysisState)), { selector: "path" }),
+      object: source([collection, select, sort, slice, map])(state, analysisState),
       property: {
         type: "Identifier",
         name: "length"
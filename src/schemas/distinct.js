@@ -0,0 +1,94 @@
+import { any, parse, capture, Match, Skip } from "chimpanzee";
+import { source } from "../chimpanzee-utils";
+import { map } from "./";
+import { distinct } from "../db-statements";
+import composite from "../chimpanzee-utils/composite";
+
+/*
+  The values of a map() to a single field, without duplicates.
+  Filters before the map() stay in the source.
+    new Set(myDb.todos.map(t => t.assignee))
+*/
+function getDistinct(path, state, analysisState, context) {
+  return path.type === "NewExpression" &&
+    path.node.callee.type === "Identifier" &&
+    path.node.callee.name === "Set" &&
+    !path.scope.getBinding("Set") &&
+    path.node.arguments.length === 1
+    ? (() => {
+        const result = parse(source([map])(state, analysisState))(path.get("arguments.0"))(
+          context
+        );
+        return !(result instanceof Match)
+          ? result
+          : result.value.projection.type === "field"
+            ? distinct(result.value.source, { field: result.value.projection.field })
+            : new Skip(`Only the values of a map() to a single field can be made distinct.`);
+      })()
+    : new Skip(`Expected a Set of a query.`);
+}
+
+/*
+  [...new Set(myDb.todos.map(t => t.assignee))]
+*/
+function spreadSet(state, analysisState) {
+  return composite(
+    {
+      type: "ArrayExpression",
+      elements: capture({ selector: "path" })
+    },
+    {
+      build: obj => context => result =>
+        result instanceof Match
+          ? result.value.elements.length === 1 && result.value.elements[0].type === "SpreadElement"
+            ? getDistinct(result.value.elements[0].get("argument"), state, analysisState, context)
+            : new Skip(`Expected an array with a single spread element.`)
+          : result
+    },
+    {
+      path: { mergeArray: true }
+    }
+  );
+}
+
+/*
+  Array.from(new Set(myDb.todos.map(t => t.assignee)))
+*/
+function arrayFromSet(state, analysisState) {
+  return composite(
+    {
+      type: "CallExpression",
+      callee: {
+        type: "MemberExpression",
+        object: {
+          type: "Identifier",
+          name: "Array"
+        },
+        property: {
+          type: "Identifier",
+          name: "from"
+        }
+      },
+      arguments: capture({ selector: "path" })
+    },
+    {
+      build: obj => context => result =>
+        result instanceof Match
+          ? obj.scope.getBinding("Array")
+            ? new Skip(`Array is not the global Array object.`)
+            : result.value.arguments.length === 1
+              ? getDistinct(result.value.arguments[0], state, analysisState, context)
+              : new Skip(`Expected Array.from() with a single argument.`)
+          : result
+    },
+    {
+      path: { mergeArray: true }
+    }
+  );
+}
+
+export default function(state, analysisState) {
+  return any([spreadSet(state, analysisState), arrayFromSet(state, analysisState)], {
+    selector: "path"
+  });
+}
@@ -0,0 +1,12 @@
+import { filter, none } from "../db-statements";
+import callbackQuery from "./common/callback-query";
+
+/*
+  myDb.todos.every(t => t.done)
+  is true if no record fails the predicate; the filter is on the negated predicate.
+*/
+export default callbackQuery(
+  "every",
+  (query, predicate) => none(filter(query, { predicate })),
+  true
+);
@@ -0,0 +1,7 @@
+import { firstIndex } from "../db-statements";
+import callbackQuery from "./common/callback-query";
+
+/*
+  myDb.users.findIndex(u => u.email === email)
+*/
+export default callbackQuery("findIndex", (query, predicate) => firstIndex(query, { predicate }));
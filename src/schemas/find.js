@@ -0,0 +1,8 @@
+import { filter, first } from "../db-statements";
+import callbackQuery from "./common/callback-query";
+
+/*
+  myDb.users.find(u => u.email === email)
+  is the first record of the filter.
+*/
+export default callbackQuery("find", (query, predicate) => first(filter(query, { predicate })));
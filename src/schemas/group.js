@@ -0,0 +1,206 @@
+import { Match, Skip } from "chimpanzee";
+import { source } from "../chimpanzee-utils";
+import { collection, select, slice, sort } from "./";
+import { group } from "../db-statements";
+import { getProjection } from "./map";
+import { getComputedExpression } from "./common/computed";
+import { getAggregateField } from "./common/aggregate";
+import composite from "../chimpanzee-utils/composite";
+import * as arrowFunctions from "../chimpanzee-utils/arrow-functions";
+import { isIdentifier, isSameNode, referencesBinding } from "../chimpanzee-utils/expressions";
+
+const isSpread = node => ["SpreadElement", "SpreadProperty"].includes(node.type);
+
+/*
+  The keyed entry in the accumulator, and what is assigned to it.
+    (acc, t) => ({ ...acc, [t.assignee]: value })
+    (acc, t) => { acc[t.assignee] = value; return acc; }
+*/
+function getEntry(path, acc) {
+  const body = path.node;
+  return body.type === "ObjectExpression"
+    ? body.properties.length === 2 &&
+      isSpread(body.properties[0]) &&
+      isIdentifier(body.properties[0].argument, acc) &&
+      body.properties[1].type === "ObjectProperty" &&
+      body.properties[1].computed
+      ? { key: path.get("properties.1.key"), value: path.get("properties.1.value") }
+      : undefined
+    : body.type === "BlockStatement"
+      ? (() => {
+          const [assignment, ret] = body.body;
+          const expression = assignment && assignment.expression;
+          return body.body.length === 2 &&
+            assignment.type === "ExpressionStatement" &&
+            expression.type === "AssignmentExpression" &&
+            expression.operator === "=" &&
+            expression.left.type === "MemberExpression" &&
+            expression.left.computed &&
+            isIdentifier(expression.left.object, acc) &&
+            ret.type === "ReturnStatement" &&
+            ret.argument &&
+            isIdentifier(ret.argument, acc)
+            ? {
+                key: path.get("body.0.expression.left.property"),
+                value: path.get("body.0.expression.right")
+              }
+            : undefined;
+        })()
+      : undefined;
+}
+
+/*
+  The value in the accumulator so far, defaulting to empty.
+    acc[t.assignee] || 0
+    acc[t.assignee] || []
+*/
+function isCurrentValue(node, acc, keyNode, isEmpty) {
+  return (
+    node.type === "LogicalExpression" &&
+    node.operator === "||" &&
+    node.left.type === "MemberExpression" &&
+    node.left.computed &&
+    isIdentifier(node.left.object, acc) &&
+    isSameNode(node.left.property, keyNode) &&
+    isEmpty(node.right)
+  );
+}
+
+const isZero = node => node.type === "NumericLiteral" && node.value === 0;
+
+const isEmptyArray = node => node.type === "ArrayExpression" && node.elements.length === 0;
+
+/*
+  What is pushed into a group; the record or an expression on it.
+*/
+function getPushAccumulator(path, accBinding) {
+  return referencesBinding(path, accBinding)
+    ? new Skip(`The value pushed into a group can't use the accumulator.`)
+    : arrowFunctions.isParameter(path)
+      ? { type: "push" }
+      : (() => {
+          const expression = getProjection(path);
+          return expression instanceof Skip
+            ? expression
+            : expression.type === "value"
+              ? new Skip(`The value pushed into a group must use the record.`)
+              : { type: "push", expression };
+        })();
+}
+
+/*
+  The accumulator for each group.
+    (acc[k] || 0) + 1                   { type: "count" }
+    (acc[k] || 0) + t.priority          { type: "sum", field: "priority" }
+    [...(acc[k] || []), t]              { type: "push" }
+    (acc[k] || []).concat(t.title)      { type: "push", expression: { type: "field", ... } }
+*/
+function getAccumulator(path, accBinding, keyNode, query) {
+  const node = path.node;
+  const acc = accBinding.identifier.name;
+  const isCurrent = isEmpty => n => isCurrentValue(n, acc, keyNode, isEmpty);
+  return node.type === "BinaryExpression" && node.operator === "+"
+    ? (() => {
+        const value = isCurrent(isZero)(node.left)
+          ? path.get("right")
+          : isCurrent(isZero)(node.right) ? path.get("left") : undefined;
+        return !value
+          ? new Skip(`Unsupported accumulator in group.`)
+          : value.type === "NumericLiteral" && value.node.value === 1
+            ? { type: "count" }
+            : referencesBinding(value, accBinding)
+              ? new Skip(`Unsupported accumulator in group.`)
+              : (() => {
+                  const aggregate = getAggregateField(value, query);
+                  return aggregate instanceof Skip
+                    ? aggregate
+                    : { type: "sum", field: aggregate.field };
+                })();
+      })()
+    : node.type === "ArrayExpression" &&
+      node.elements.length === 2 &&
+      isSpread(node.elements[0]) &&
+      isCurrent(isEmptyArray)(node.elements[0].argument)
+      ? getPushAccumulator(path.get("elements.1"), accBinding)
+      : node.type === "CallExpression" &&
+        node.callee.type === "MemberExpression" &&
+        !node.callee.computed &&
+        node.callee.property.name === "concat" &&
+        isCurrent(isEmptyArray)(node.callee.object) &&
+        node.arguments.length === 1
+        ? node.arguments[0].type === "ArrayExpression"
+          ? node.arguments[0].elements.length === 1
+            ? getPushAccumulator(path.get("arguments.0.elements.0"), accBinding)
+            : new Skip(`Unsupported accumulator in group.`)
+          : getPushAccumulator(path.get("arguments.0"), accBinding)
+        : new Skip(`Unsupported accumulator in group.`);
+}
+
+/*
+  Reducers which accumulate into an object keyed by a field.
+    myDb.todos.reduce((acc, t) => ({ ...acc, [t.assignee]: (acc[t.assignee] || 0) + 1 }), {})
+    myDb.todos.reduce((acc, t) => {
+      acc[t.assignee] = [...(acc[t.assignee] || []), t.title];
+      return acc;
+    }, {})
+*/
+export default function(state, analysisState) {
+  return composite(
+    {
+      type: "CallExpression",
+      callee: {
+        type: "MemberExpression",
+        object: source([collection, select, sort, slice])(state, analysisState),
+        property: {
+          type: "Identifier",
+          name: "reduce"
+        }
+      }
+    },
+    {
+      build: obj => context => result =>
+        result instanceof Match
+          ? (() => {
+              const [fnArg, initialValue, ...rest] = obj.get("arguments");
+              const fn = fnArg ? arrowFunctions.resolveFunction(fnArg) : undefined;
+              return fn &&
+                fn.node.params.length === 2 &&
+                initialValue &&
+                initialValue.type === "ObjectExpression" &&
+                !initialValue.node.properties.length &&
+                !rest.length
+                ? (() => {
+                    const [acc] = fn.node.params;
+                    const accBinding =
+                      acc.type === "Identifier" ? fn.scope.getBinding(acc.name) : undefined;
+                    const body = arrowFunctions.getReturnedExpression(fn) || fn.get("body");
+                    const entry = accBinding ? getEntry(body, acc.name) : undefined;
+                    const key =
+                      entry && !referencesBinding(entry.key, accBinding)
+                        ? getComputedExpression(entry.key)
+                        : undefined;
+                    return !key || key.type !== "field" || key.valueType
+                      ? new Skip(`The reducer does not accumulate by a field of the record.`)
+                      : (() => {
+                          const accumulator = getAccumulator(
+                            entry.value,
+                            accBinding,
+                            entry.key.node,
+                            result.value.object
+                          );
+                          return accumulator instanceof Skip
+                            ? accumulator
+                            : group(result.value.object, { key: key.field, accumulator });
+                        })();
+                  })()
+                : new Skip(
+                    `A group needs a reducer with two parameters and an empty object to start with.`
+                  );
+            })()
+          : result
+    },
+    {
+      path: { mergeArray: true }
+    }
+  );
+}
@@ -1,11 +1,20 @@
+export { default as average } from "./average";
 export { default as collection } from "./collection";
 export { default as count } from "./count";
 // export { default as del } from "./delete";
+export { default as distinct } from "./distinct";
+export { default as every } from "./every";
+export { default as find } from "./find";
+export { default as findIndex } from "./find-index";
+export { default as group } from "./group";
 export { default as insert } from "./insert";
 export { default as map } from "./map";
+export { default as math } from "./math";
+export { default as reduce } from "./reduce";
 export { default as root } from "./root";
 export { default as select } from "./select";
 export { default as slice } from "./slice";
+export { default as some } from "./some";
 export { default as sort } from "./sort";
 export { default as update } from "./update";
 export { default as writeError } from "./write-error";
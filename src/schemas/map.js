@@ -1,63 +1,144 @@
-import { capture, array, repeatingItem, Match } from "chimpanzee";
-import { map } from "../db-statements";
+import { capture, Match, Skip } from "chimpanzee";
+import { map as mapStatement, lookup } from "../db-statements";
 import { source } from "../chimpanzee-utils";
-import { collection, slice } from "./";
+import * as arrowFunctions from "../chimpanzee-utils/arrow-functions";
+import { collection, select, slice, sort } from "./";
+import { getJoin } from "./common/predicate";
+import { getComputedExpression } from "./common/computed";
 import composite from "../chimpanzee-utils/composite";
 
-export default function(state, analysisState) {
+/*
+  The key of a property in the projected object.
+    { title: t.title }, { "due-date": t.dueDate }
+*/
+function getPropertyKey(property) {
+  return property.type === "ObjectProperty" && !property.computed
+    ? property.key.type === "Identifier"
+      ? property.key.name
+      : property.key.type === "StringLiteral" ? property.key.value : undefined
+    : undefined;
+}
+
+/*
+  Projection expressions. See getComputedExpression() for fields, values and arithmetic.
+    t.owner || "nobody"               { type: "default", expression, defaultExpression }
+    { name: t.owner.name }            { type: "object", properties: [{ key: "name", expression }] }
+*/
+export function getProjection(path) {
+  return !arrowFunctions.referencesParameter(path, path.getFunctionParent())
+    ? getComputedExpression(path)
+    : path.type === "ObjectExpression"
+      ? path.get("properties").reduce(
+          (acc, property) =>
+            acc instanceof Skip
+              ? acc
+              : (() => {
+                  const key = getPropertyKey(property.node);
+                  const expression =
+                    typeof key !== "undefined" ? getProjection(property.get("value")) : undefined;
+                  return typeof key === "undefined"
+                    ? new Skip(`Properties in a projection must have a literal key.`)
+                    : expression instanceof Skip
+                      ? expression
+                      : { ...acc, properties: acc.properties.concat([{ key, expression }]) };
+                })(),
+          { type: "object", properties: [] }
+        )
+      : path.type === "LogicalExpression" && path.node.operator === "||"
+        ? (() => {
+            const expression = getProjection(path.get("left"));
+            const defaultExpression = getProjection(path.get("right"));
+            return [expression, defaultExpression].find(e => e instanceof Skip) || {
+              type: "default",
+              expression,
+              defaultExpression
+            };
+          })()
+        : getComputedExpression(path, getProjection);
+}
+
+/*
+  Related records from other collections, added to each record. See getJoin().
+    o => ({ ...o, customer: myDb.customers.find(c => c.id === o.customerId) })
+    o => ({ ...o, items: myDb.items.filter(i => i.orderId === o.id) })
+  Returns undefined if the function doesn't return the record spread into an object.
+*/
+function getLookups(fn, query, env) {
+  const body = arrowFunctions.getReturnedExpression(fn);
+  const [param] = fn.node.params;
+  const properties = body && body.type === "ObjectExpression" ? body.get("properties") : [];
+  return param.type === "Identifier" &&
+    properties.length > 1 &&
+    ["SpreadElement", "SpreadProperty"].includes(properties[0].type) &&
+    properties[0].node.argument.type === "Identifier" &&
+    properties[0].node.argument.name === param.name
+    ? properties.slice(1).reduce((acc, property) => {
+        const as = getPropertyKey(property.node);
+        const value = property.get("value");
+        const method =
+          value.type === "CallExpression" &&
+          value.node.callee.type === "MemberExpression" &&
+          !value.node.callee.computed &&
+          value.node.arguments.length === 1
+            ? value.node.callee.property.name
+            : undefined;
+        const join =
+          acc instanceof Skip
+            ? acc
+            : typeof as !== "undefined" && ["find", "filter"].includes(method)
+              ? getJoin(value.get("callee.object"), value.get("arguments.0"), fn, env)
+              : new Skip(`Fields added to the record must be a find() or filter() on a query.`);
+        return join instanceof Skip
+          ? join
+          : lookup(acc, { ...join, as, single: method === "find" });
+      }, query)
+    : undefined;
+}
+
+/*
+  todo => ({ owner: todo.assignee, timestamp: todo.createdAt })
+  ({ id, title }) => ({ id, title })
+  todo => todo.title
+  order => ({ ...order, customer: myDb.customers.find(c => c.id === order.customerId) })
+*/
+export default function map(state, analysisState) {
   return composite(
     {
       type: "CallExpression",
       callee: {
         type: "MemberExpression",
-        object: source([collection, slice])(state, analysisState)
+        object: source([collection, select, sort, slice, map])(state, analysisState),
+        property: {
+          type: "Identifier",
+          name: "map"
+        }
       },
-      arguments: array(
-        [
-          {
-            type: "ArrowFunctionExpression",
-            params: [
-              {
-                type: "Identifier",
-                name: "todo"
-              }
-            ],
-            body: {
-              type: "ObjectExpression",
-              properties: array(
-                [
-                  repeatingItem({
-                    type: "ObjectProperty",
-                    key: {
-                      type: "Identifier",
-                      name: capture("newField")
-                    },
-                    value: {
-                      type: "MemberExpression",
-                      object: {
-                        type: "Identifier",
-                        name: "todo"
-                      },
-                      property: {
-                        type: "Identifier",
-                        name: capture("field")
-                      }
-                    }
-                  })
-                ],
-                { key: "items" }
-              )
-            }
-          }
-        ],
-        { key: "fields" }
-      )
+      arguments: [capture({ selector: "path" })]
     },
     {
       build: obj => context => result =>
         result instanceof Match
-          ? map(result.value.object, { fields: result.value.fields[0].items })
+          ? (() => {
+              const fn = arrowFunctions.resolveFunction(result.value.arguments[0]);
+              return fn && fn.node.params.length === 1
+                ? getLookups(fn, result.value.object, { state, analysisState, context }) ||
+                  (() => {
+                    const body = arrowFunctions.getReturnedExpression(fn);
+                    const projection = body
+                      ? getProjection(body)
+                      : new Skip(`The map function must return a single expression.`);
+                    return projection instanceof Skip
+                      ? projection
+                      : projection.type === "value"
+                        ? new Skip(`The map function does not use the record.`)
+                        : mapStatement(result.value.object, { projection });
+                  })()
+                : new Skip(`The argument to map() must be a function with a single parameter.`);
+            })()
           : result
+    },
+    {
+      path: { mergeArray: true }
     }
   );
 }
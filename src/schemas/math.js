@@ -0,0 +1,55 @@
+import { parse, capture, Match, Skip } from "chimpanzee";
+import { source } from "../chimpanzee-utils";
+import { map } from "./";
+import { min, max } from "../db-statements";
+import { getMappedField } from "./common/aggregate";
+import composite from "../chimpanzee-utils/composite";
+
+const aggregations = { min, max };
+
+/*
+  Math.max(...myDb.orders.map(o => o.total))
+  Math.min(...myDb.orders.filter(o => o.paid).map(o => o.total))
+*/
+export default function(state, analysisState) {
+  return composite(
+    {
+      type: "CallExpression",
+      callee: {
+        type: "MemberExpression",
+        object: {
+          type: "Identifier",
+          name: "Math"
+        },
+        property: {
+          type: "Identifier",
+          name: capture("method")
+        }
+      },
+      arguments: capture({ selector: "path" })
+    },
+    {
+      build: obj => context => result =>
+        result instanceof Match
+          ? (() => {
+              const args = result.value.arguments;
+              const query =
+                ["min", "max"].includes(result.value.method) &&
+                args.length === 1 &&
+                args[0].type === "SpreadElement"
+                  ? parse(source([map])(state, analysisState))(args[0].get("argument"))(context)
+                  : new Skip(`Expected Math.min() or Math.max() over a spread query.`);
+              const aggregate = query instanceof Match ? getMappedField(query.value) : query;
+              return aggregate instanceof Skip
+                ? aggregate
+                : obj.scope.getBinding("Math")
+                  ? new Skip(`Math is not the global Math object.`)
+                  : aggregations[result.value.method](aggregate.source, { field: aggregate.field });
+            })()
+          : result
+    },
+    {
+      path: { mergeArray: true }
+    }
+  );
+}
@@ -0,0 +1,131 @@
+import { Match, Skip } from "chimpanzee";
+import { source } from "../chimpanzee-utils";
+import { collection, map, select, slice, sort } from "./";
+import { sum, min, max } from "../db-statements";
+import { getAggregateField } from "./common/aggregate";
+import composite from "../chimpanzee-utils/composite";
+import * as arrowFunctions from "../chimpanzee-utils/arrow-functions";
+import { isIdentifier, isSameNode, referencesBinding } from "../chimpanzee-utils/expressions";
+
+/*
+  The value the accumulator starts with for each aggregation.
+  Without one, reduce() starts with the first item; which is only a number over a map().
+*/
+const initialValues = {
+  sum: { type: "NumericLiteral", value: 0 },
+  max: {
+    type: "UnaryExpression",
+    operator: "-",
+    prefix: true,
+    argument: { type: "Identifier", name: "Infinity" }
+  },
+  min: { type: "Identifier", name: "Infinity" }
+};
+
+const aggregations = { sum, min, max };
+
+/*
+  Of the two operands, the one which isn't the accumulator.
+*/
+function getOtherOperand(left, right, acc) {
+  return isIdentifier(left.node, acc) ? right : isIdentifier(right.node, acc) ? left : undefined;
+}
+
+/*
+  The aggregation in a reducer, and the expression aggregated.
+    (s, o) => s + o.total                       sum
+    (m, o) => Math.max(m, o.total)              max
+    (m, o) => (o.total > m ? o.total : m)       max
+    (m, o) => (m < o.total ? m : o.total)       min
+*/
+function getReducer(path, acc) {
+  const node = path.node;
+  return node.type === "BinaryExpression" && node.operator === "+"
+    ? (() => {
+        const value = getOtherOperand(path.get("left"), path.get("right"), acc);
+        return value ? { operation: "sum", value } : undefined;
+      })()
+    : node.type === "CallExpression" &&
+      node.callee.type === "MemberExpression" &&
+      !node.callee.computed &&
+      isIdentifier(node.callee.object, "Math") &&
+      !path.scope.getBinding("Math") &&
+      ["max", "min"].includes(node.callee.property.name) &&
+      node.arguments.length === 2
+      ? (() => {
+          const value = getOtherOperand(path.get("arguments.0"), path.get("arguments.1"), acc);
+          return value ? { operation: node.callee.property.name, value } : undefined;
+        })()
+      : node.type === "ConditionalExpression" &&
+        node.test.type === "BinaryExpression" &&
+        [">", ">=", "<", "<="].includes(node.test.operator)
+        ? (() => {
+            const { left, right, operator } = node.test;
+            const value = getOtherOperand(path.get("test.left"), path.get("test.right"), acc);
+            const greater = [">", ">="].includes(operator) ? left : right;
+            return value &&
+              [left, right].every(
+                n => isSameNode(n, node.consequent) || isSameNode(n, node.alternate)
+              ) &&
+              !isSameNode(node.consequent, node.alternate)
+              ? { operation: isSameNode(node.consequent, greater) ? "max" : "min", value }
+              : undefined;
+          })()
+        : undefined;
+}
+
+/*
+  Sum, min and max over a query.
+    myDb.orders.filter(o => o.paid).reduce((s, o) => s + o.total, 0)
+    myDb.orders.reduce((m, o) => Math.max(m, o.total), -Infinity)
+    myDb.orders.map(o => o.total).reduce((a, b) => (a < b ? a : b))
+*/
+export default function(state, analysisState) {
+  return composite(
+    {
+      type: "CallExpression",
+      callee: {
+        type: "MemberExpression",
+        object: source([collection, select, sort, slice, map])(state, analysisState),
+        property: {
+          type: "Identifier",
+          name: "reduce"
+        }
+      }
+    },
+    {
+      build: obj => context => result =>
+        result instanceof Match
+          ? (() => {
+              const [fnArg, initialValue, ...rest] = obj.get("arguments");
+              const fn = fnArg ? arrowFunctions.resolveFunction(fnArg) : undefined;
+              return fn && fn.node.params.length === 2 && !rest.length
+                ? (() => {
+                    const [acc] = fn.node.params;
+                    const body = arrowFunctions.getReturnedExpression(fn);
+                    const reducer =
+                      body && acc.type === "Identifier" ? getReducer(body, acc.name) : undefined;
+                    const aggregate =
+                      reducer &&
+                      !referencesBinding(reducer.value, fn.scope.getBinding(acc.name))
+                        ? getAggregateField(reducer.value, result.value.object)
+                        : new Skip(`Unsupported reducer.`);
+                    return aggregate instanceof Skip
+                      ? aggregate
+                      : (initialValue
+                          ? isSameNode(initialValue.node, initialValues[reducer.operation])
+                          : result.value.object.operation === "map")
+                        ? aggregations[reducer.operation](aggregate.source, {
+                            field: aggregate.field
+                          })
+                        : new Skip(`Unsupported initial value for ${reducer.operation}.`);
+                  })()
+                : new Skip(`The argument to reduce() must be a function with two parameters.`);
+            })()
+          : result
+    },
+    {
+      path: { mergeArray: true }
+    }
+  );
+}
@@ -1,9 +1,10 @@
-import { parse, array, capture, wrap, builtins as $ } from "chimpanzee";
+import { capture, Match } from "chimpanzee";
 import { source } from "../chimpanzee-utils";
-import { collection, map, sort } from "./";
+import { collection, map, select, slice, sort } from "./";
 import { filter } from "../db-statements";
-import predicateSchema from "./common/predicate";
+import { getCallbackPredicate } from "./common/predicate";
 import composite from "../chimpanzee-utils/composite";
+import { isMatchOrValue } from "../chimpanzee-utils/results";
 
 export default function(state, analysisState) {
   return composite(
@@ -11,33 +12,30 @@ export default function(state, analysisState) {
       type: "CallExpression",
       callee: {
         type: "MemberExpression",
-        object: source([collection])(state, analysisState),
+        object: source([collection, select, sort, slice, map])(state, analysisState),
         property: {
           type: "Identifier",
           name: "filter"
         }
       },
-      arguments: [
-        {
-          type: "ArrowFunctionExpression",
-          params: $.arr([capture()], { selector: "path" }),
-          body: wrap(capture(), { selector: "path" })
-        }
-      ]
+      arguments: [capture({ selector: "path" })]
     },
     {
-      build: obj => context => result => {
-        const _params = result.value.arguments[0].params[0];
-        const body = result.value.arguments[0].body;
-        const wrappedPredicateSchema = $.func(predicateSchema(state, analysisState), {
-          selector: "path"
-        });
-        const predicate = parse(wrappedPredicateSchema)(body)(context);
-        console.log(predicate);
-        return filter(result.value.object, {
-          predicate
-        });
-      }
+      build: obj => context => result =>
+        result instanceof Match
+          ? (() => {
+              const predicate = getCallbackPredicate(
+                result.value.arguments[0],
+                "filter",
+                state,
+                analysisState,
+                context
+              );
+              return isMatchOrValue(predicate)
+                ? filter(result.value.object, { predicate })
+                : predicate;
+            })()
+          : result
     },
     {
       path: { mergeArray: true }
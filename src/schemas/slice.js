@@ -1,50 +1,99 @@
 import { source } from "../chimpanzee-utils";
-import { collection, map, sort } from "./";
-import { capture, array, map as mapResult, optionalItem, Match } from "chimpanzee";
-import { slice } from "../db-statements";
+import { collection, map, select, sort } from "./";
+import { parse, capture, Match, Skip } from "chimpanzee";
+import { slice as sliceStatement } from "../db-statements";
 import composite from "../chimpanzee-utils/composite";
+import { isSameNode } from "../chimpanzee-utils/expressions";
+import integer from "./common/integer";
 
-export default function(state, analysisState) {
+/*
+  Is the expression written as a negative number? slice(offset, offset + -n) doesn't take n.
+*/
+function isNegative(node) {
+  return (
+    (node.type === "UnaryExpression" && node.operator === "-") ||
+    (node.type === "BinaryExpression" && node.operator === "-")
+  );
+}
+
+/*
+  The number of items, when the end is the start plus a count.
+    slice(offset, offset + limit)                   limit
+    slice(page * size, (page + 1) * size)           size
+  Any other runtime end stays a toNode, since it may be negative; slice(0, end) isn't a limit.
+*/
+function getLimitNode(from, to) {
+  const limit = getLimit(from, to);
+  return limit && !isNegative(limit) ? limit : undefined;
+}
+
+function getLimit(from, to) {
+  const isPlusOne = (node, operand) =>
+    node.type === "BinaryExpression" &&
+    node.operator === "+" &&
+    [[node.left, node.right], [node.right, node.left]].some(
+      ([a, b]) => isSameNode(a, operand) && b.type === "NumericLiteral" && b.value === 1
+    );
+
+  return to.type === "BinaryExpression" && to.operator === "+"
+    ? isSameNode(to.left, from)
+      ? to.right
+      : isSameNode(to.right, from) ? to.left : undefined
+    : to.type === "BinaryExpression" &&
+        to.operator === "*" &&
+        from.type === "BinaryExpression" &&
+        from.operator === "*"
+      ? (() => {
+          const factors = [[from.left, from.right], [from.right, from.left]];
+          const match = factors.find(([page, size]) =>
+            [[to.left, to.right], [to.right, to.left]].some(
+              ([nextPage, nextSize]) => isSameNode(size, nextSize) && isPlusOne(nextPage, page)
+            )
+          );
+          return match ? match[1] : undefined;
+        })()
+      : undefined;
+}
+
+export default function slice(state, analysisState) {
   return composite(
     {
       type: "CallExpression",
       callee: {
         type: "MemberExpression",
-        object: source([collection, map, sort])(state, analysisState),
+        object: source([collection, select, sort, slice, map])(state, analysisState),
         property: {
           type: "Identifier",
           name: "slice"
         }
       },
-      arguments: array(
-        [
-          mapResult(
-            {
-              type: "NumericLiteral",
-              value: capture()
-            },
-            s => s.value
-          ),
-          optionalItem(
-            mapResult(
-              {
-                type: "NumericLiteral",
-                value: capture()
-              },
-              s => s.value
-            )
-          )
-        ],
-        { key: "args" }
-      )
+      arguments: capture("args")
     },
     {
       build: obj => context => result =>
         result instanceof Match
-          ? slice(result.value.object, {
-              from: result.value.args[0],
-              to: result.value.args[1]
-            })
+          ? [1, 2].includes(result.value.args.length) &&
+            !result.value.args.some(arg => arg.type === "SpreadElement")
+            ? (() => {
+                const [from, to] = result.value.args;
+                const getInteger = node => {
+                  const parsed = parse(integer("value"))(node)(context);
+                  return parsed instanceof Match ? parsed.value.value : undefined;
+                };
+                const fromValue = getInteger(from);
+                const toValue = to ? getInteger(to) : undefined;
+                return sliceStatement(result.value.object, {
+                  ...(typeof fromValue !== "undefined" ? { from: fromValue } : { fromNode: from }),
+                  ...(!to
+                    ? {}
+                    : typeof toValue !== "undefined"
+                      ? { to: toValue }
+                      : getLimitNode(from, to)
+                        ? { limitNode: getLimitNode(from, to) }
+                        : { toNode: to })
+                });
+              })()
+            : new Skip(`slice() must have one or two arguments, which aren't spread.`)
           : result
     }
   );
@@ -0,0 +1,8 @@
+import { filter, exists } from "../db-statements";
+import callbackQuery from "./common/callback-query";
+
+/*
+  myDb.users.some(u => u.email === email)
+  is true if the filter has any records.
+*/
+export default callbackQuery("some", (query, predicate) => exists(filter(query, { predicate })));
@@ -1,6 +1,7 @@
 import R from "ramda";
 import {
   builtins as $,
+  parse,
   capture,
   any,
   array,
@@ -12,9 +13,20 @@ import {
 
 import composite from "../chimpanzee-utils/composite";
 import { source } from "../chimpanzee-utils";
-import { collection, select, slice } from "./";
+import * as arrowFunctions from "../chimpanzee-utils/arrow-functions";
+import * as expressions from "../chimpanzee-utils/expressions";
+import { collection, map, select, slice } from "./";
 import integer from "./common/integer";
-import { sort } from "../db-statements";
+import field from "./common/field";
+import { sort as sortStatement } from "../db-statements";
+
+/*
+  Fields compared with getTime() are sorted as dates.
+    (a, b) => a.dueDate.getTime() - b.dueDate.getTime()
+*/
+function getValueType(valueTypes) {
+  return valueTypes.includes("date") ? { valueType: "date" } : {};
+}
 
 const operators = any([">", "<", ">=", "<=", "==="].map(i => literal(i)));
 
@@ -27,6 +39,8 @@ async function getTodos(who) {
 }
 
   Variants of (a,b) => a.total > b.total ? 1 : a.total < b.total ? -1 : 0;
+  Instead of 0, the last alternate can compare the next field.
+    (a, b) => a.total > b.total ? 1 : a.total < b.total ? -1 : a.id > b.id ? 1 : ...
   Terminology:
     1   Swap
     0   Same
@@ -48,13 +62,18 @@ function getSortExpression1({
   rhsProp2,
   operator2,
   val2,
-  val3
+  val3,
+  lhsType1,
+  rhsType1,
+  lhsType2,
+  rhsType2,
+  rest
 }) {
   const INVALID_EXPR_ERROR = `The sort expression is invalid. Should return less than zero, zero and greater than zero according to JS specifications.`;
 
   //Make sure all the properties are the same. eg: "field" in x.field > y.field ? 1 : x.field === ...
   return lhsProp1 === rhsProp1 && lhsProp1 === lhsProp2 && lhsProp1 === rhsProp2
-    ? [val1, val2, val3].every(val => typeof val === "number")
+    ? [val1, val2].every(val => typeof val === "number") && (typeof val3 === "number" || rest)
         ? (() => {
             //val > 0 is 1, val < 0 is -1, 0 is 0
             const normalizeValue = val =>
@@ -101,8 +120,12 @@ function getSortExpression1({
                     return !(secondVal instanceof Skip)
                       ? firstVal === -secondVal
                           ? {
-                              field: lhsProp1,
-                              ascending: firstVal === ascendingVal
+                              key: {
+                                field: lhsProp1,
+                                ascending: firstVal === ascendingVal,
+                                ...getValueType([lhsType1, rhsType1, lhsType2, rhsType2])
+                              },
+                              rest
                             }
                           : new Skip(INVALID_EXPR_ERROR)
                       : secondVal;
@@ -123,92 +146,45 @@ function getSortExpression1({
     : new Skip(`Sort expression should reference the same fields in the ternary expression.`);
 }
 
-const compareFn1 = $.obj(
-  {
-    type: "ArrowFunctionExpression",
-    params: [
-      {
-        type: "Identifier",
-        name: capture("name")
-      },
-      {
-        type: "Identifier",
-        name: capture("name")
-      }
-    ],
-    body: {
+const compareExpression1 = ([param1, param2]) =>
+  $.obj(
+    {
       type: "ConditionalExpression",
       test: {
         type: "BinaryExpression",
-        left: {
-          type: "MemberExpression",
-          object: {
-            type: "Identifier",
-            name: capture("lhs1")
-          },
-          property: {
-            type: "Identifier",
-            name: capture("lhsProp1")
-          }
-        },
+        left: field("lhsProp1", { object: "lhs1", valueType: "lhsType1" }),
         operator: capture("operator1"),
-        right: {
-          type: "MemberExpression",
-          object: {
-            type: "Identifier",
-            name: capture("rhs1")
-          },
-          property: {
-            type: "Identifier",
-            name: capture("rhsProp1")
-          }
-        }
+        right: field("rhsProp1", { object: "rhs1", valueType: "rhsType1" })
       },
       consequent: integer("val1"),
       alternate: {
         type: "ConditionalExpression",
         test: {
           type: "BinaryExpression",
-          left: {
-            type: "MemberExpression",
-            object: {
-              type: "Identifier",
-              name: capture("lhs2")
-            },
-            property: {
-              type: "Identifier",
-              name: capture("lhsProp2")
-            }
-          },
+          left: field("lhsProp2", { object: "lhs2", valueType: "lhsType2" }),
           operator: capture("operator2"),
-          right: {
-            type: "MemberExpression",
-            object: {
-              type: "Identifier",
-              name: capture("rhs2")
-            },
-            property: {
-              type: "Identifier",
-              name: capture("rhsProp2")
-            }
-          }
+          right: field("rhsProp2", { object: "rhs2", valueType: "rhsType2" })
         },
         consequent: integer("val2"),
-        alternate: integer("val3")
+        alternate: capture("alternate")
       }
+    },
+    {
+      build: obj => context => result =>
+        result instanceof Match
+          ? (() => {
+              const { alternate, ...captures } = result.value;
+              const val3 = parse(integer("val3"))(alternate)(context);
+              return getSortExpression1({
+                param1,
+                param2,
+                ...captures,
+                ...(val3 instanceof Match ? val3.value : { rest: alternate })
+              });
+            })()
+          : result
     }
-  },
-  {
-    build: obj => context => result =>
-      result instanceof Match
-        ? getSortExpression1({
-            param1: result.value.params[0].name,
-            param2: result.value.params[1].name,
-            ...result.value
-          })
-        : result
-  }
-);
+  );
 
 /*
 async function getTodos(who) {
@@ -224,6 +200,12 @@ async function getTodos(who) {
       (x, y) => y.assignee - x.assignee
       );
 
+  //Booleans and dates converted to numbers
+  return myDb.todos
+    .sort(
+      (x, y) => Number(y.pinned) - Number(x.pinned)
+    );
+
   //well, we also support
   // Ascending
   return myDb.todos
@@ -237,39 +219,21 @@ async function getTodos(who) {
       (x, y) => -(y.assignee - x.assignee)
       );
 }
+
+  scope is the compare function's. Number() converts only where Number is the global.
 */
-const sortExpression2Ascending = {
+const sortExpression2Ascending = scope => ({
   type: "BinaryExpression",
-  left: {
-    type: "MemberExpression",
-    object: {
-      type: "Identifier",
-      name: capture("lhsObject")
-    },
-    property: {
-      type: "Identifier",
-      name: capture("lhsProp")
-    }
-  },
+  left: field("lhsProp", { object: "lhsObject", valueType: "lhsType", number: scope }),
   operator: "-",
-  right: {
-    type: "MemberExpression",
-    object: {
-      type: "Identifier",
-      name: capture("rhsObject")
-    },
-    property: {
-      type: "Identifier",
-      name: capture("rhsProp")
-    }
-  }
-};
+  right: field("rhsProp", { object: "rhsObject", valueType: "rhsType", number: scope })
+});
 
-const sortExpression2Descending = {
+const sortExpression2Descending = scope => ({
   type: "UnaryExpression",
   operator: capture("operator"),
-  argument: sortExpression2Ascending
-};
+  argument: sortExpression2Ascending(scope)
+});
 
 function getSortExpression2({
   param1,
@@ -278,63 +242,302 @@ function getSortExpression2({
   lhsProp,
   rhsObject,
   rhsProp,
-  operator
+  operator,
+  lhsType,
+  rhsType
 }) {
   const getSortOrder = negated =>
     (!negated && param1 === lhsObject) || (negated && param1 === rhsObject);
   return [param1, param2].every(p => [lhsObject, rhsObject].includes(p))
     ? lhsProp === rhsProp
-        ? { field: lhsProp, ascending: getSortOrder(operator === "-") }
+        ? {
+            key: {
+              field: lhsProp,
+              ascending: getSortOrder(operator === "-"),
+              ...getValueType([lhsType, rhsType])
+            }
+          }
         : new Skip(`The sort expression must reference the same property on compared objects.`)
     : new Skip(`The sort expression must reference parameters ${param1} and ${param2}.`);
 }
 
-const compareFn2 = $.obj(
-  {
-    type: "ArrowFunctionExpression",
-    params: [
-      {
-        type: "Identifier",
-        name: capture("name")
-      },
-      {
-        type: "Identifier",
-        name: capture("name")
-      }
-    ],
-    body: any([sortExpression2Ascending, sortExpression2Descending])
+const compareExpression2 = ([param1, param2], scope) =>
+  any([sortExpression2Ascending(scope), sortExpression2Descending(scope)], {
+    build: obj => context => result =>
+      result instanceof Match ? getSortExpression2({ param1, param2, ...result.value }) : result
+  });
+
+/*
+async function getTodos(who) {
+  return myDb.todos
+    .sort(
+      (x, y) => x.assignee > y.assignee
+    );
+}
+
+  A compare function which returns a boolean never returns less than zero, so JS doesn't
+  sort reliably with it. But what it means is clear; and it's common enough to support.
+*/
+const sortExpression3 = {
+  type: "BinaryExpression",
+  left: field("lhsProp", { object: "lhsObject", valueType: "lhsType" }),
+  operator: capture("operator"),
+  right: field("rhsProp", { object: "rhsObject", valueType: "rhsType" })
+};
+
+function getSortExpression3({
+  param1,
+  param2,
+  lhsObject,
+  lhsProp,
+  rhsObject,
+  rhsProp,
+  operator,
+  lhsType,
+  rhsType
+}) {
+  return [param1, param2].every(p => [lhsObject, rhsObject].includes(p))
+    ? lhsProp === rhsProp
+        ? [">", ">=", "<", "<="].includes(operator)
+            ? {
+                key: {
+                  field: lhsProp,
+                  ascending: (param1 === lhsObject) === [">", ">="].includes(operator),
+                  ...getValueType([lhsType, rhsType])
+                }
+              }
+            : new Skip(`The sort expression must compare with >, >=, < or <=.`)
+        : new Skip(`The sort expression must reference the same property on compared objects.`)
+    : new Skip(`The sort expression must reference parameters ${param1} and ${param2}.`);
+}
+
+const compareExpression3 = ([param1, param2]) =>
+  $.obj(sortExpression3, {
+    build: obj => context => result =>
+      result instanceof Match ? getSortExpression3({ param1, param2, ...result.value }) : result
+  });
+
+/*
+async function getTodos(who) {
+  return myDb.todos
+    .sort(
+      (x, y) => x.title.localeCompare(y.title, "de", { sensitivity: "base" })
+    );
+}
+
+  Sorted with collation; locale and options are as given to localeCompare().
+  -x.title.localeCompare(y.title) and y.title.localeCompare(x.title) are descending.
+*/
+const sortExpression5Ascending = {
+  type: "CallExpression",
+  callee: {
+    type: "MemberExpression",
+    object: field("lhsProp", { object: "lhsObject" }),
+    property: {
+      type: "Identifier",
+      name: "localeCompare"
+    }
   },
-  {
+  arguments: capture("args")
+};
+
+const sortExpression5Descending = {
+  type: "UnaryExpression",
+  operator: "-",
+  argument: sortExpression5Ascending
+};
+
+function getSortExpression5({ param1, param2, lhsObject, lhsProp, args, descending }) {
+  const [other, locale, options] = args;
+  const rhsProp = expressions.getFieldPath(other);
+  const rhsObject = rhsProp ? expressions.getRootIdentifier(other).name : undefined;
+  const hasLocale = locale && !(locale.type === "Identifier" && locale.name === "undefined");
+  return args.length <= 3 && [param1, param2].every(p => [lhsObject, rhsObject].includes(p))
+    ? lhsProp === rhsProp
+        ? {
+            key: {
+              field: lhsProp,
+              ascending: (param1 === lhsObject) !== !!descending,
+              collation: {
+                ...(hasLocale ? { localeNode: locale } : {}),
+                ...(options ? { optionsNode: options } : {})
+              }
+            }
+          }
+        : new Skip(`The sort expression must reference the same property on compared objects.`)
+    : new Skip(`The sort expression must call localeCompare() with ${param1} and ${param2}.`);
+}
+
+const compareExpression5 = ([param1, param2]) =>
+  any(
+    [
+      $.obj(sortExpression5Ascending, {
+        build: obj => context => result =>
+          result instanceof Match ? getSortExpression5({ param1, param2, ...result.value }) : result
+      }),
+      $.obj(sortExpression5Descending, {
+        build: obj => context => result =>
+          result instanceof Match
+            ? getSortExpression5({ param1, param2, ...result.value, descending: true })
+            : result
+      })
+    ]
+  );
+
+/*
+async function getTodos(who) {
+  return myDb.todos
+    .sort(
+      (x, y) => x.priority !== y.priority ? x.priority - y.priority : x.title > y.title ? 1 : ...
+    );
+}
+
+  When a field is the same on both sides, compare the next field.
+    x.priority !== y.priority ? <compare priority> : <compare the next field>
+    x.priority === y.priority ? <compare the next field> : <compare priority>
+*/
+const sortExpression4 = {
+  type: "ConditionalExpression",
+  test: {
+    type: "BinaryExpression",
+    left: field("lhsProp", { object: "lhsObject" }),
+    operator: capture("operator"),
+    right: field("rhsProp", { object: "rhsObject" })
+  },
+  consequent: capture("consequent"),
+  alternate: capture("alternate")
+};
+
+function getSortExpression4(
+  { param1, param2, lhsObject, lhsProp, rhsObject, rhsProp, operator, consequent, alternate },
+  scope,
+  context
+) {
+  const isEquality = ["==", "==="].includes(operator);
+  return [param1, param2].every(p => [lhsObject, rhsObject].includes(p)) && lhsProp === rhsProp
+    ? isEquality || ["!=", "!=="].includes(operator)
+        ? (() => {
+            const keys = getSortKeys(
+              isEquality ? alternate : consequent,
+              [param1, param2],
+              scope,
+              context
+            );
+            return keys instanceof Skip
+              ? keys
+              : keys.length && keys[0].field === lhsProp
+                  ? { key: keys[0], rest: isEquality ? consequent : alternate }
+                  : new Skip(`The sort expression must compare ${lhsProp} when it differs.`);
+          })()
+        : new Skip(`Expected a comparison of ${lhsProp} for equality.`)
+    : new Skip(`The sort expression must reference the same property on compared objects.`);
+}
+
+const compareExpression4 = ([param1, param2], scope) =>
+  $.obj(sortExpression4, {
     build: obj => context => result =>
       result instanceof Match
-        ? getSortExpression2({
-            param1: result.value.params[0].name,
-            param2: result.value.params[1].name,
-            ...result.value.body
-          })
+        ? getSortExpression4({ param1, param2, ...result.value }, scope, context)
         : result
-  }
-);
+  });
+
+/*
+  Sort keys, most significant first.
+    (a, b) => a.priority - b.priority || a.dueDate - b.dueDate
+  A field which was already sorted on doesn't change the order again, and is skipped.
+*/
+function combineSortKeys(first, second) {
+  return first instanceof Skip
+    ? first
+    : second instanceof Skip
+      ? second
+      : first.concat(second.filter(key => !first.some(k => k.field === key.field)));
+}
 
-export default function(state, analysisState) {
+function getSortKeys(node, params, scope, context) {
+  return node.type === "LogicalExpression" && node.operator === "||"
+    ? combineSortKeys(
+        getSortKeys(node.left, params, scope, context),
+        getSortKeys(node.right, params, scope, context)
+      )
+    : node.type === "NumericLiteral" && node.value === 0
+      ? []
+      : (() => {
+          const sortExpression = parse(
+            any(
+              [
+                compareExpression1,
+                compareExpression2,
+                compareExpression3,
+                compareExpression4,
+                compareExpression5
+              ].map(schema => schema(params, scope))
+            )
+          )(node)(context);
+          return sortExpression instanceof Match
+            ? sortExpression.value.rest
+                ? combineSortKeys(
+                    [sortExpression.value.key],
+                    getSortKeys(sortExpression.value.rest, params, scope, context)
+                  )
+                : [sortExpression.value.key]
+            : sortExpression;
+        })();
+}
+
+/*
+  Sort keys of an earlier sort() come after those of a later sort(), since sort() is stable.
+    myDb.todos.sort((a, b) => a.dueDate - b.dueDate).sort((a, b) => a.priority - b.priority)
+  is sorted on priority, then dueDate.
+*/
+function getSortStatement(source, keys) {
+  return source.operation === "sort"
+    ? sortStatement(source.source, { fields: combineSortKeys(keys, source.fields) })
+    : sortStatement(source, { fields: keys });
+}
+
+export default function sort(state, analysisState) {
   return composite(
     {
       type: "CallExpression",
       callee: {
         type: "MemberExpression",
-        object: source([collection])(state, analysisState),
+        object: source([collection, select, sort, slice, map])(state, analysisState),
         property: {
           type: "Identifier",
           name: "sort"
         }
       },
-      arguments: array([any([compareFn1, compareFn2])])
+      arguments: [capture({ selector: "path" })]
     },
     {
       build: obj => context => result =>
         result instanceof Match
-          ? sort(result.value.object, { fields: result.value.arguments })
+          ? ["ArrowFunctionExpression", "FunctionExpression"].includes(
+              result.value.arguments[0].type
+            ) && result.value.arguments[0].node.params.length === 2
+            ? (() => {
+                const compareFn = arrowFunctions.expandDestructuredParams(result.value.arguments[0]);
+                const compareExpression = arrowFunctions.getReturnedNode(compareFn);
+                const keys = compareExpression
+                  ? getSortKeys(
+                      compareExpression,
+                      compareFn.params.map(p => p.name),
+                      result.value.arguments[0].scope,
+                      context
+                    )
+                  : new Skip(`The compare function must return a single expression.`);
+                return keys instanceof Skip
+                  ? keys
+                  : keys.length
+                    ? getSortStatement(result.value.object, keys)
+                    : new Skip(`The compare function does not sort on any field.`);
+              })()
+            : new Skip(`The argument to sort() must be a compare function with two parameters.`)
           : result
+    },
+    {
+      path: { mergeArray: true }
     }
   );
 }
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getAveragePriority() {
+  return myDb.todos.reduce((sum, todo) => sum + todo.priority, 0) / myDb.todos.length;
+}
@@ -3,4 +3,5 @@ module.exports = {
   module: "mongodb://localhost:27017/isotropy-test-db",
   identifier: "myDb",
   collection: "todos",
-}
+  params: []
+};
@@ -6,5 +6,6 @@ module.exports = {
     module: "mongodb://localhost:27017/isotropy-test-db",
     identifier: "myDb",
     collection: "todos"
-  }
+  },
+  params: []
 };
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getAssignees() {
+  return Array.from(new Set(myDb.todos.map(todo => todo.owner.name)));
+}
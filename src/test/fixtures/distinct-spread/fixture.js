@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getAssignees() {
+  return [...new Set(myDb.todos.filter(todo => !todo.done).map(todo => todo.assignee))];
+}
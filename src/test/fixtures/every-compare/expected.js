@@ -0,0 +1,28 @@
+module.exports = {
+  type: "value",
+  operation: "none",
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "unaryExpression",
+      operator: "!",
+      argument: {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "priority",
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 2
+        }
+      }
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: []
+};
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function allUrgent() {
+  return myDb.todos.every(todo => todo.priority > 2);
+}
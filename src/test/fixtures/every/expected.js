@@ -0,0 +1,67 @@
+module.exports = {
+  type: "value",
+  operation: "none",
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "logicalExpression",
+      operator: "&&",
+      expressions: [
+        {
+          type: "binaryFieldExpression",
+          operator: "===",
+          field: "assignee",
+          comparandNode: {
+            type: "param",
+            name: "who"
+          }
+        },
+        {
+          type: "logicalExpression",
+          operator: "||",
+          expressions: [
+            {
+              type: "binaryFieldExpression",
+              operator: "!==",
+              field: "done",
+              comparandNode: {
+                type: "BooleanLiteral",
+                value: true
+              }
+            },
+            {
+              type: "unaryExpression",
+              operator: "!",
+              argument: {
+                type: "binaryFieldExpression",
+                operator: ">",
+                field: "priority",
+                comparandNode: {
+                  type: "NumericLiteral",
+                  value: 2
+                }
+              }
+            }
+          ]
+        }
+      ]
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function allDone(who) {
+  return myDb.todos.filter(todo => todo.assignee === who).every(todo => todo.done && todo.priority > 2);
+}
@@ -0,0 +1,39 @@
+module.exports = {
+  type: "value",
+  operation: "firstIndex",
+  predicate: {
+    type: "binaryFieldExpression",
+    operator: "===",
+    field: "assignee",
+    comparandNode: {
+      type: "param",
+      name: "who"
+    }
+  },
+  source: {
+    type: "query",
+    operation: "sort",
+    fields: [
+      {
+        field: "priority",
+        ascending: true
+      }
+    ],
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
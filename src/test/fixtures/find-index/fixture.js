@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getPosition(who) {
+  return myDb.todos.sort((a, b) => a.priority - b.priority).findIndex(todo => todo.assignee === who);
+}
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getUser(email) {
+  return myDb.todos.find(todo => todo.assignee === email);
+}
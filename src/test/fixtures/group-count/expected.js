@@ -0,0 +1,15 @@
+module.exports = {
+  type: "query",
+  operation: "group",
+  key: "assignee",
+  accumulator: {
+    type: "count"
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,19 @@
+module.exports = {
+  type: "query",
+  operation: "group",
+  key: "assignee",
+  accumulator: {
+    type: "push",
+    expression: {
+      type: "field",
+      field: "title"
+    }
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
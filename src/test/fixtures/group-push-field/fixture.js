@@ -0,0 +1,8 @@
+import myDb from "../my-db";
+
+async function getTitlesByAssignee() {
+  return myDb.todos.reduce((acc, { assignee, title }) => {
+    acc[assignee] = (acc[assignee] || []).concat(title);
+    return acc;
+  }, {});
+}
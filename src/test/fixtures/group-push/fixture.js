@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodosByAssignee() {
+  return myDb.todos.reduce((acc, todo) => ({ ...acc, [todo.assignee]: [...(acc[todo.assignee] || []), todo] }), {});
+}
@@ -0,0 +1,29 @@
+module.exports = {
+  type: "query",
+  operation: "group",
+  key: "assignee",
+  accumulator: {
+    type: "sum",
+    field: "priority"
+  },
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "binaryFieldExpression",
+      operator: "!==",
+      field: "done",
+      comparandNode: {
+        type: "BooleanLiteral",
+        value: true
+      }
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: []
+};
@@ -0,0 +1,8 @@
+import myDb from "../my-db";
+
+async function getPriorityByAssignee() {
+  return myDb.todos.filter(todo => !todo.done).reduce((acc, todo) => {
+    acc[todo.assignee] = (acc[todo.assignee] || 0) + todo.priority;
+    return acc;
+  }, {});
+}
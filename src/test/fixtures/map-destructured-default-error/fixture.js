@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getOwners() {
+  return myDb.todos.map(({ owner = "nobody" }) => ({ owner }));
+}
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos.map(({ assignee: owner, createdAt }) => ({ owner, timestamp: createdAt }));
+}
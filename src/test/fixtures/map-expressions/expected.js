@@ -0,0 +1,122 @@
+module.exports = {
+  type: "query",
+  operation: "map",
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "id",
+        expression: {
+          type: "field",
+          field: "id"
+        }
+      },
+      {
+        key: "due-date",
+        expression: {
+          type: "field",
+          field: "due-date"
+        }
+      },
+      {
+        key: "owner",
+        expression: {
+          type: "object",
+          properties: [
+            {
+              key: "name",
+              expression: {
+                type: "default",
+                expression: {
+                  type: "field",
+                  field: "owner.name"
+                },
+                defaultExpression: {
+                  type: "value",
+                  valueNode: {
+                    type: "StringLiteral",
+                    value: "nobody"
+                  }
+                }
+              }
+            },
+            {
+              key: "city",
+              expression: {
+                type: "field",
+                field: "owner.address.city"
+              }
+            }
+          ]
+        }
+      },
+      {
+        key: "status",
+        expression: {
+          type: "value",
+          valueNode: {
+            type: "StringLiteral",
+            value: "open"
+          }
+        }
+      },
+      {
+        key: "total",
+        expression: {
+          type: "arithmetic",
+          operator: "*",
+          left: {
+            type: "arithmetic",
+            operator: "*",
+            left: {
+              type: "field",
+              field: "price"
+            },
+            right: {
+              type: "field",
+              field: "quantity"
+            }
+          },
+          right: {
+            type: "value",
+            valueNode: {
+              type: "param",
+              name: "rate"
+            }
+          }
+        }
+      },
+      {
+        key: "tagCount",
+        expression: {
+          type: "size",
+          field: "tags"
+        }
+      },
+      {
+        key: "createdAt",
+        expression: {
+          type: "field",
+          field: "createdAt",
+          valueType: "date"
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "rate",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "rate"
+      }
+    }
+  ]
+};
@@ -0,0 +1,13 @@
+import myDb from "../my-db";
+
+async function getTodos(rate) {
+  return myDb.todos.map(t => ({
+    id: t.id,
+    "due-date": t["due-date"],
+    owner: { name: t.owner.name || "nobody", city: t.owner.address.city },
+    status: "open",
+    total: t.price * t.quantity * rate,
+    tagCount: t.tags.length,
+    createdAt: t.createdAt.getTime()
+  }));
+}
@@ -0,0 +1,34 @@
+module.exports = {
+  type: "query",
+  operation: "lookup",
+  foreign: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "binaryFieldExpression",
+      operator: "!==",
+      field: "done",
+      comparandNode: {
+        type: "BooleanLiteral",
+        value: true
+      }
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  localField: "username",
+  foreignField: "assignee",
+  as: "todos",
+  single: false,
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "users"
+  },
+  params: []
+};
@@ -0,0 +1,8 @@
+import myDb from "../my-db";
+
+async function getUsersWithTodos() {
+  return myDb.users.map(user => ({
+    ...user,
+    todos: myDb.todos.filter(todo => todo.assignee === user.username && !todo.done)
+  }));
+}
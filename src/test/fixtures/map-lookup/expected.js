@@ -0,0 +1,21 @@
+module.exports = {
+  type: "query",
+  operation: "lookup",
+  foreign: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "users"
+  },
+  localField: "assignee",
+  foreignField: "username",
+  as: "owner",
+  single: true,
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
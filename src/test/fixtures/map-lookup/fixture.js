@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodosWithOwners() {
+  return myDb.todos.map(todo => ({ ...todo, owner: myDb.users.find(user => user.username === todo.assignee) }));
+}
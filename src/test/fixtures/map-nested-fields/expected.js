@@ -0,0 +1,30 @@
+module.exports = {
+  type: "query",
+  operation: "map",
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "city",
+        expression: {
+          type: "field",
+          field: "owner.address.city"
+        }
+      },
+      {
+        key: "title",
+        expression: {
+          type: "field",
+          field: "title"
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
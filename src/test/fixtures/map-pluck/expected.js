@@ -0,0 +1,28 @@
+module.exports = {
+  type: "query",
+  operation: "map",
+  projection: {
+    type: "field",
+    field: "title"
+  },
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "binaryFieldExpression",
+      operator: "!==",
+      field: "done",
+      comparandNode: {
+        type: "BooleanLiteral",
+        value: true
+      }
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: []
+};
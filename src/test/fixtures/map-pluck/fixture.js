@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+async function getTitles() {
+  return myDb.todos.filter(todo => !todo.done).map(function(todo) {
+    return todo.title;
+  });
+}
@@ -0,0 +1,85 @@
+module.exports = {
+  type: "query",
+  operation: "map",
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "title",
+        expression: {
+          type: "field",
+          field: "title"
+        }
+      },
+      {
+        key: "multiples",
+        expression: {
+          type: "value",
+          valueNode: {
+            type: "param",
+            name: "param"
+          }
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "CallExpression",
+        callee: {
+          type: "MemberExpression",
+          object: {
+            type: "Identifier",
+            name: "multipliers"
+          },
+          property: {
+            type: "Identifier",
+            name: "map"
+          }
+        },
+        arguments: [
+          {
+            type: "ArrowFunctionExpression",
+            id: {},
+            generator: false,
+            expression: true,
+            async: false,
+            params: [
+              {
+                type: "Identifier",
+                name: "todo"
+              }
+            ],
+            body: {
+              type: "BinaryExpression",
+              left: {
+                type: "Identifier",
+                name: "todo"
+              },
+              operator: "*",
+              right: {
+                type: "NumericLiteral",
+                value: 2
+              }
+            }
+          }
+        ]
+      },
+      references: [
+        {
+          name: "multipliers",
+          kind: "variable"
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,10 @@
+import myDb from "../my-db";
+
+const multipliers = [1, 2, 3];
+
+async function getTodos() {
+  return myDb.todos.map(todo => ({
+    title: todo.title,
+    multiples: multipliers.map(todo => todo * 2)
+  }));
+}
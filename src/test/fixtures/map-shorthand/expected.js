@@ -0,0 +1,37 @@
+module.exports = {
+  type: "query",
+  operation: "map",
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "id",
+        expression: {
+          type: "field",
+          field: "id"
+        }
+      },
+      {
+        key: "title",
+        expression: {
+          type: "field",
+          field: "title"
+        }
+      },
+      {
+        key: "name",
+        expression: {
+          type: "field",
+          field: "owner.name"
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
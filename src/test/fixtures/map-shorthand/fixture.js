@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.map(({ id, title, owner: { name } }) => ({ id, title, name }));
+}
@@ -1,20 +1,36 @@
 module.exports = {
   type: "query",
+  operation: "slice",
   from: 10,
   to: 20,
-  operation: "slice",
   source: {
     type: "query",
     operation: "map",
-    fields: [
-      { newField: "owner", field: "assignee" },
-      { newField: "timestamp", field: "createdAt" }
-    ],
+    projection: {
+      type: "object",
+      properties: [
+        {
+          key: "owner",
+          expression: {
+            type: "field",
+            field: "assignee"
+          }
+        },
+        {
+          key: "timestamp",
+          expression: {
+            type: "field",
+            field: "createdAt"
+          }
+        }
+      ]
+    },
     source: {
       type: "query",
       module: "mongodb://localhost:27017/isotropy-test-db",
       identifier: "myDb",
       collection: "todos"
     }
-  }
+  },
+  params: []
 };
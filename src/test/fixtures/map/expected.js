@@ -1,20 +1,30 @@
 module.exports = {
   type: "query",
   operation: "map",
-  fields: [
-    {
-      field: "assignee",
-      newField: "owner"
-    },
-    {
-      field: "createdAt",
-      newField: "timestamp"
-    }
-  ],
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "owner",
+        expression: {
+          type: "field",
+          field: "assignee"
+        }
+      },
+      {
+        key: "timestamp",
+        expression: {
+          type: "field",
+          field: "createdAt"
+        }
+      }
+    ]
+  },
   source: {
     type: "query",
     module: "mongodb://localhost:27017/isotropy-test-db",
     identifier: "myDb",
     collection: "todos"
-  }
+  },
+  params: []
 };
@@ -0,0 +1,34 @@
+module.exports = {
+  type: "value",
+  operation: "max",
+  field: "priority",
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "binaryFieldExpression",
+      operator: "===",
+      field: "assignee",
+      comparandNode: {
+        type: "param",
+        name: "who"
+      }
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
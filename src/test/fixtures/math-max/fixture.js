@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getHighestPriority(who) {
+  return Math.max(...myDb.todos.filter(todo => todo.assignee === who).map(todo => todo.priority));
+}
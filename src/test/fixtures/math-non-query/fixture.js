@@ -0,0 +1,6 @@
+import myDb from "../my-db";
+
+async function getPages(count, sizes) {
+  const largest = Math.max(...sizes);
+  return Math.floor(count / largest);
+}
@@ -0,0 +1,6 @@
+import myDb from "../my-db";
+
+async function getTotalPriority() {
+  const Math = { max: (total, priority) => total + priority };
+  return myDb.todos.reduce((total, todo) => Math.max(total, todo.priority), -Infinity);
+}
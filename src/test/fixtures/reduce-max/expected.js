@@ -0,0 +1,12 @@
+module.exports = {
+  type: "value",
+  operation: "max",
+  field: "priority",
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
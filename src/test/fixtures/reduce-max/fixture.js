@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getHighestPriority() {
+  return myDb.todos.reduce((max, { priority }) => Math.max(max, priority), -Infinity);
+}
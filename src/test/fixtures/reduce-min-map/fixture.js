@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getLowestPriority() {
+  return myDb.todos.map(todo => todo.priority).reduce((a, b) => (a < b ? a : b));
+}
@@ -0,0 +1,6 @@
+import myDb from "../my-db";
+
+async function getTotalPriority() {
+  const Number = priority => (priority === "high" ? 2 : 1);
+  return myDb.todos.reduce((total, todo) => total + Number(todo.priority), 0);
+}
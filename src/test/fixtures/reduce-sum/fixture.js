@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTotalPriority(who) {
+  return myDb.todos.filter(todo => todo.assignee === who).reduce((sum, todo) => sum + todo.priority, 0);
+}
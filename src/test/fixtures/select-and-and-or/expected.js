@@ -4,42 +4,56 @@ module.exports = {
   predicate: {
     type: "logicalExpression",
     operator: "||",
-    left: {
-      type: "logicalExpression",
-      operator: "&&",
-      left: {
+    expressions: [
+      {
+        type: "logicalExpression",
+        operator: "&&",
+        expressions: [
+          {
+            type: "binaryFieldExpression",
+            operator: "===",
+            field: "priority",
+            comparandNode: {
+              type: "StringLiteral",
+              value: "normal"
+            }
+          },
+          {
+            type: "binaryFieldExpression",
+            operator: "===",
+            field: "assignee",
+            comparandNode: {
+              type: "param",
+              name: "who"
+            }
+          }
+        ]
+      },
+      {
         type: "binaryFieldExpression",
         operator: "===",
         field: "priority",
         comparandNode: {
           type: "StringLiteral",
-          value: "normal"
-        }
-      },
-      right: {
-        type: "binaryFieldExpression",
-        operator: "===",
-        field: "assignee",
-        comparandNode: {
-          type: "Identifier",
-          name: "who"
+          value: "high"
         }
       }
-    },
-    right: {
-      type: "binaryFieldExpression",
-      operator: "===",
-      field: "priority",
-      comparandNode: {
-        type: "StringLiteral",
-        value: "normal"
-      }
-    }
+    ]
   },
   source: {
     type: "query",
     module: "mongodb://localhost:27017/isotropy-test-db",
     identifier: "myDb",
     collection: "todos"
-  }
-}
+  },
+  params: [
+    {
+      name: "who",
+      kind: "global",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
@@ -0,0 +1,100 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryComputedExpression",
+        operator: ">",
+        expression: {
+          type: "arithmetic",
+          operator: "*",
+          left: {
+            type: "field",
+            field: "price"
+          },
+          right: {
+            type: "field",
+            field: "quantity"
+          }
+        },
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 1000
+        }
+      },
+      {
+        type: "binaryComputedExpression",
+        operator: ">=",
+        expression: {
+          type: "arithmetic",
+          operator: "+",
+          left: {
+            type: "field",
+            field: "score"
+          },
+          right: {
+            type: "value",
+            valueNode: {
+              type: "param",
+              name: "bonus"
+            }
+          }
+        },
+        comparandNode: {
+          type: "param",
+          name: "threshold"
+        }
+      },
+      {
+        type: "binaryComputedExpression",
+        operator: ">",
+        expression: {
+          type: "field",
+          field: "spent"
+        },
+        otherExpression: {
+          type: "arithmetic",
+          operator: "*",
+          left: {
+            type: "field",
+            field: "budget"
+          },
+          right: {
+            type: "value",
+            valueNode: {
+              type: "NumericLiteral",
+              value: 1.1
+            }
+          }
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "bonus",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "bonus"
+      }
+    },
+    {
+      name: "threshold",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "threshold"
+      }
+    }
+  ]
+};
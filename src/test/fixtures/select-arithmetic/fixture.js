@@ -0,0 +1,10 @@
+import myDb from "../my-db";
+
+async function getTodos(bonus, threshold) {
+  return myDb.todos.filter(
+    todo =>
+      todo.price * todo.quantity > 1000 &&
+      threshold <= todo.score + bonus &&
+      todo.spent > todo.budget * 1.1
+  );
+}
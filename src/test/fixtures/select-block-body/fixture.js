@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos.filter(function(todo) {
+    return todo.assignee === who && !todo.done;
+  });
+}
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.filter(todo => todo.priority === Math.max(todo.rank, 1));
+}
@@ -0,0 +1,47 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "spent",
+        otherField: "budget"
+      },
+      {
+        type: "unaryExpression",
+        operator: "!",
+        argument: {
+          type: "binaryFieldExpression",
+          operator: "<=",
+          field: "likeCount",
+          otherField: "dislikeCount"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "priority",
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 2
+        }
+      },
+      {
+        type: "includesExpression",
+        field: "approvers",
+        otherField: "owner"
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,11 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.filter(
+    todo =>
+      todo.spent > todo.budget &&
+      !(todo.likeCount <= todo.dislikeCount) &&
+      2 < todo.priority &&
+      todo.approvers.includes(todo.owner)
+  );
+}
@@ -0,0 +1,109 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "due-date",
+        comparandNode: {
+          type: "param",
+          name: "value"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "meta.last-seen.at",
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 10
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: {
+          type: "dynamicField",
+          keys: [
+            {
+              type: "param",
+              name: "field"
+            }
+          ]
+        },
+        comparandNode: {
+          type: "param",
+          name: "value"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: {
+          type: "dynamicField",
+          keys: [
+            "flags",
+            {
+              type: "param",
+              name: "flag"
+            }
+          ]
+        },
+        comparandNode: {
+          type: "BooleanLiteral",
+          value: true
+        }
+      },
+      {
+        type: "existsExpression",
+        field: {
+          type: "dynamicField",
+          keys: [
+            "flags",
+            {
+              type: "param",
+              name: "flag"
+            }
+          ]
+        },
+        exists: true
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "value",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "value"
+      }
+    },
+    {
+      name: "field",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "field"
+      }
+    },
+    {
+      name: "flag",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "flag"
+      }
+    }
+  ]
+};
@@ -0,0 +1,12 @@
+import myDb from "../my-db";
+
+async function getTodos(field, value, flag) {
+  return myDb["todos"].filter(
+    todo =>
+      todo["due-date"] === value &&
+      todo.meta["last-seen"].at > 10 &&
+      todo[field] === value &&
+      todo.flags[flag] &&
+      flag in todo.flags
+  );
+}
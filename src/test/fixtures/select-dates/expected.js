@@ -0,0 +1,140 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "createdAt",
+        comparandNode: {
+          type: "param",
+          name: "param"
+        },
+        valueType: "date"
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "<",
+        field: "dueDate",
+        comparandNode: {
+          type: "param",
+          name: "param2"
+        },
+        valueType: "date"
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "<=",
+        field: "remindAt",
+        comparandNode: {
+          type: "param",
+          name: "cutoff"
+        },
+        valueType: "date"
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "doneAt",
+        otherField: "dueDate",
+        valueType: "date"
+      },
+      {
+        type: "binaryComputedExpression",
+        operator: "<",
+        expression: {
+          type: "arithmetic",
+          operator: "-",
+          left: {
+            type: "value",
+            valueNode: {
+              type: "param",
+              name: "param2"
+            },
+            valueType: "date"
+          },
+          right: {
+            type: "field",
+            field: "updatedAt",
+            valueType: "date"
+          }
+        },
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 86400000
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "NewExpression",
+        callee: {
+          type: "Identifier",
+          name: "Date"
+        },
+        arguments: [
+          {
+            type: "Identifier",
+            name: "since"
+          }
+        ]
+      },
+      references: [
+        {
+          name: "Date",
+          kind: "global"
+        },
+        {
+          name: "since",
+          kind: "parameter"
+        }
+      ]
+    },
+    {
+      name: "param2",
+      kind: "expression",
+      node: {
+        type: "CallExpression",
+        callee: {
+          type: "MemberExpression",
+          object: {
+            type: "Identifier",
+            name: "Date"
+          },
+          property: {
+            type: "Identifier",
+            name: "now"
+          }
+        },
+        arguments: []
+      },
+      references: [
+        {
+          name: "Date",
+          kind: "global"
+        }
+      ]
+    },
+    {
+      name: "cutoff",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "cutoff"
+      }
+    }
+  ]
+};
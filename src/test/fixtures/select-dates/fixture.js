@@ -0,0 +1,12 @@
+import myDb from "../my-db";
+
+async function getTodos(since, cutoff) {
+  return myDb.todos.filter(
+    todo =>
+      todo.createdAt > new Date(since) &&
+      todo.dueDate < Date.now() &&
+      todo.remindAt.getTime() <= cutoff &&
+      todo.doneAt.getTime() > todo.dueDate.getTime() &&
+      Date.now() - todo.updatedAt.getTime() < 86400000
+  );
+}
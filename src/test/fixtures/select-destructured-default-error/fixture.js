@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getUrgentTodos() {
+  return myDb.todos.filter(({ priority = 3 }) => priority > 2);
+}
@@ -0,0 +1,53 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "assignee",
+        comparandNode: {
+          type: "param",
+          name: "who"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "priority",
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 2
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "meta.flags.pinned",
+        comparandNode: {
+          type: "BooleanLiteral",
+          value: true
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
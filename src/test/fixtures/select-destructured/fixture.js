@@ -0,0 +1,8 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos.filter(
+    ({ assignee, priority, meta: { flags } }) =>
+      assignee === who && priority > 2 && flags.pinned
+  );
+}
@@ -0,0 +1,95 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "elementExpression",
+        operator: "some",
+        field: "items",
+        predicate: {
+          type: "logicalExpression",
+          operator: "&&",
+          expressions: [
+            {
+              type: "binaryFieldExpression",
+              operator: "===",
+              field: "sku",
+              comparandNode: {
+                type: "param",
+                name: "sku"
+              }
+            },
+            {
+              type: "binaryFieldExpression",
+              operator: ">",
+              field: "qty",
+              comparandNode: {
+                type: "NumericLiteral",
+                value: 1
+              }
+            }
+          ]
+        }
+      },
+      {
+        type: "elementExpression",
+        operator: "some",
+        field: "items",
+        predicate: {
+          type: "binaryFieldExpression",
+          operator: "!==",
+          field: "shipped",
+          comparandNode: {
+            type: "BooleanLiteral",
+            value: true
+          }
+        }
+      },
+      {
+        type: "elementExpression",
+        operator: "every",
+        field: "payments",
+        predicate: {
+          type: "binaryFieldExpression",
+          operator: "===",
+          field: "cleared",
+          comparandNode: {
+            type: "BooleanLiteral",
+            value: true
+          }
+        }
+      },
+      {
+        type: "binaryComputedExpression",
+        operator: ">",
+        expression: {
+          type: "size",
+          field: "items"
+        },
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 2
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "sku",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "sku"
+      }
+    }
+  ]
+};
@@ -0,0 +1,11 @@
+import myDb from "../my-db";
+
+async function getOrders(sku) {
+  return myDb.todos.filter(
+    order =>
+      order.items.some(item => item.sku === sku && item.qty > 1) &&
+      !order.items.every(item => item.shipped) &&
+      order.payments.every(payment => payment.cleared) &&
+      order.items.length > 2
+  );
+}
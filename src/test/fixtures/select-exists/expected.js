@@ -0,0 +1,51 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "existsExpression",
+        field: "deletedAt",
+        exists: false
+      },
+      {
+        type: "nullExpression",
+        field: "assignee",
+        isNull: false
+      },
+      {
+        type: "unaryExpression",
+        operator: "!",
+        argument: {
+          type: "typeExpression",
+          field: "archivedBy",
+          valueType: "null"
+        }
+      },
+      {
+        type: "existsExpression",
+        field: "dueDate",
+        exists: true
+      },
+      {
+        type: "existsExpression",
+        field: "meta.draft",
+        exists: false
+      },
+      {
+        type: "typeExpression",
+        field: "score",
+        valueType: "number"
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,13 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.filter(
+    todo =>
+      todo.deletedAt === undefined &&
+      todo.assignee != null &&
+      todo.archivedBy !== null &&
+      "dueDate" in todo &&
+      !todo.meta.hasOwnProperty("draft") &&
+      typeof todo.score === "number"
+  );
+}
@@ -0,0 +1,48 @@
+module.exports = {
+  type: "value",
+  operation: "first",
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "logicalExpression",
+      operator: "&&",
+      expressions: [
+        {
+          type: "binaryFieldExpression",
+          operator: "!==",
+          field: "done",
+          comparandNode: {
+            type: "BooleanLiteral",
+            value: true
+          }
+        },
+        {
+          type: "binaryFieldExpression",
+          operator: "===",
+          field: "assignee",
+          comparandNode: {
+            type: "param",
+            name: "who"
+          }
+        }
+      ]
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
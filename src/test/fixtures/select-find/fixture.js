@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getOpenTodo(who) {
+  return myDb.todos.filter(todo => !todo.done).find(todo => todo.assignee === who);
+}
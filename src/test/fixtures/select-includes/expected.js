@@ -0,0 +1,67 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "inExpression",
+        field: "priority",
+        comparandNode: {
+          type: "ArrayExpression",
+          elements: [
+            {
+              type: "NumericLiteral",
+              value: 1
+            },
+            {
+              type: "NumericLiteral",
+              value: 2
+            },
+            {
+              type: "NumericLiteral",
+              value: 3
+            }
+          ]
+        }
+      },
+      {
+        type: "inExpression",
+        field: "createdBy",
+        comparandNode: {
+          type: "param",
+          name: "approvers"
+        }
+      },
+      {
+        type: "unaryExpression",
+        operator: "!",
+        argument: {
+          type: "includesExpression",
+          field: "tags",
+          comparandNode: {
+            type: "StringLiteral",
+            value: "archived"
+          }
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "approvers",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "approvers"
+      }
+    }
+  ]
+};
@@ -0,0 +1,10 @@
+import myDb from "../my-db";
+
+async function getTodos(approvers) {
+  return myDb.todos.filter(
+    todo =>
+      [1, 2, 3].includes(todo.priority) &&
+      approvers.includes(todo.createdBy) &&
+      !todo.tags.includes("archived")
+  );
+}
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.filter((todo, i) => todo.priority === i);
+}
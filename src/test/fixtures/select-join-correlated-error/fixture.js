@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodosOfSeniors() {
+  return myDb.todos.filter(todo => myDb.users.some(user => user.username === todo.assignee && user.level > todo.priority));
+}
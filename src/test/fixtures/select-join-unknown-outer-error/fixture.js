@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+const isAssigned = todo => myDb.users.some(user => user.username === todo.assignee);
+
+async function getAssignedTodos() {
+  return myDb.todos.filter(isAssigned);
+}
@@ -0,0 +1,59 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "priority",
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 2
+        }
+      },
+      {
+        type: "joinExpression",
+        foreign: {
+          type: "query",
+          operation: "filter",
+          predicate: {
+            type: "binaryFieldExpression",
+            operator: "===",
+            field: "team",
+            comparandNode: {
+              type: "param",
+              name: "team"
+            }
+          },
+          source: {
+            type: "query",
+            module: "mongodb://localhost:27017/isotropy-test-db",
+            identifier: "myDb",
+            collection: "users"
+          }
+        },
+        localField: "assignee",
+        foreignField: "username"
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "team",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "team"
+      }
+    }
+  ]
+};
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodosOfTeam(team) {
+  return myDb.todos.filter(todo => todo.priority > 2 && myDb.users.some(user => user.username === todo.assignee && user.team === team));
+}
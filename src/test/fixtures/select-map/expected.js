@@ -1,29 +1,45 @@
 module.exports = {
   type: "query",
-  method: "map",
-  fields: [
-    {
-      field: "assignee"
-      newField: "mainAssignee",
-    }
-  ],
+  operation: "map",
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "mainAssignee",
+        expression: {
+          type: "field",
+          field: "assignee"
+        }
+      }
+    ]
+  },
   source: {
     type: "query",
-    method: "filter",
+    operation: "filter",
     predicate: {
       type: "binaryFieldExpression",
       operator: "===",
       field: "assignee",
       comparandNode: {
-        type: "Identifier",
+        type: "param",
         name: "who"
       }
     },
     source: {
       type: "query",
-      module: "todosDbModule",
+      module: "mongodb://localhost:27017/isotropy-test-db",
       identifier: "myDb",
       collection: "todos"
     }
-  }
-}
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
@@ -0,0 +1,8 @@
+import myDb from "../my-db";
+
+const now = Date.now();
+const isOverdue = todo => todo.due < now;
+
+async function getTodos(now) {
+  return myDb.todos.filter(isOverdue);
+}
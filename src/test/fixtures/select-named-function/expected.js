@@ -0,0 +1,29 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "binaryFieldExpression",
+    operator: "<",
+    field: "due",
+    comparandNode: {
+      type: "param",
+      name: "now"
+    }
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "now",
+      kind: "global",
+      node: {
+        type: "Identifier",
+        name: "now"
+      }
+    }
+  ]
+};
@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+const isOverdue = todo => todo.due < now;
+
+async function getTodos() {
+  return myDb.todos.filter(isOverdue);
+}
@@ -0,0 +1,44 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "owner.address.city",
+        comparandNode: {
+          type: "param",
+          name: "city"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "meta.flags.pinned",
+        comparandNode: {
+          type: "BooleanLiteral",
+          value: true
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "city",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "city"
+      }
+    }
+  ]
+};
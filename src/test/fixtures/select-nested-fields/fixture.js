@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+async function getTodos(city) {
+  return myDb.todos.filter(
+    todo => todo.owner.address.city === city && todo.meta.flags.pinned
+  );
+}
@@ -0,0 +1,210 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "assignee",
+        comparandNode: {
+          type: "param",
+          name: "who"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "!==",
+        field: "reviewer",
+        comparandNode: {
+          type: "param",
+          name: "who"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "!==",
+        field: "owner",
+        comparandNode: {
+          type: "param",
+          name: "defaultOwner"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "<=",
+        field: "priority",
+        comparandNode: {
+          type: "param",
+          name: "MAX_PRIORITY"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "createdAt",
+        comparandNode: {
+          type: "param",
+          name: "since"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "region",
+        comparandNode: {
+          type: "param",
+          name: "param"
+        }
+      },
+      {
+        type: "stringMatchExpression",
+        method: "startsWith",
+        field: "title",
+        comparandNode: {
+          type: "param",
+          name: "param2"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "status",
+        comparandNode: {
+          type: "StringLiteral",
+          value: "open"
+        }
+      },
+      {
+        type: "elementExpression",
+        operator: "some",
+        field: "items",
+        predicate: {
+          type: "binaryFieldExpression",
+          operator: ">",
+          field: "qty",
+          comparandNode: {
+            type: "param",
+            name: "param3"
+          }
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    },
+    {
+      name: "defaultOwner",
+      kind: "import",
+      node: {
+        type: "Identifier",
+        name: "defaultOwner"
+      }
+    },
+    {
+      name: "MAX_PRIORITY",
+      kind: "variable",
+      node: {
+        type: "Identifier",
+        name: "MAX_PRIORITY"
+      }
+    },
+    {
+      name: "since",
+      kind: "variable",
+      node: {
+        type: "Identifier",
+        name: "since"
+      }
+    },
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "MemberExpression",
+        object: {
+          type: "Identifier",
+          name: "window"
+        },
+        property: {
+          type: "Identifier",
+          name: "region"
+        }
+      },
+      references: [
+        {
+          name: "window",
+          kind: "global"
+        }
+      ]
+    },
+    {
+      name: "param2",
+      kind: "expression",
+      node: {
+        type: "CallExpression",
+        callee: {
+          type: "MemberExpression",
+          object: {
+            type: "MemberExpression",
+            object: {
+              type: "Identifier",
+              name: "opts"
+            },
+            property: {
+              type: "Identifier",
+              name: "prefix"
+            }
+          },
+          property: {
+            type: "Identifier",
+            name: "trim"
+          }
+        },
+        arguments: []
+      },
+      references: [
+        {
+          name: "opts",
+          kind: "parameter"
+        }
+      ]
+    },
+    {
+      name: "param3",
+      kind: "expression",
+      node: {
+        type: "MemberExpression",
+        object: {
+          type: "Identifier",
+          name: "opts"
+        },
+        property: {
+          type: "Identifier",
+          name: "minQty"
+        }
+      },
+      references: [
+        {
+          name: "opts",
+          kind: "parameter"
+        }
+      ]
+    }
+  ]
+};
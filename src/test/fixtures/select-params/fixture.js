@@ -0,0 +1,20 @@
+import myDb from "../my-db";
+import { defaultOwner } from "../config";
+
+const MAX_PRIORITY = 5;
+
+async function getOrders(who, opts) {
+  const since = new Date(opts.since);
+  return myDb.todos.filter(
+    order =>
+      order.assignee === who &&
+      order.reviewer !== who &&
+      order.owner !== defaultOwner &&
+      order.priority <= MAX_PRIORITY &&
+      order.createdAt > since &&
+      order.region === window.region &&
+      order.title.startsWith(opts.prefix.trim()) &&
+      order.status === "open" &&
+      order.items.some(item => item.qty > opts.minQty)
+  );
+}
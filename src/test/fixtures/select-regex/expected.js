@@ -0,0 +1,69 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "regexExpression",
+        field: "title",
+        pattern: "^urgent",
+        flags: "i"
+      },
+      {
+        type: "regexExpression",
+        field: "description",
+        comparandNode: {
+          type: "param",
+          name: "param"
+        }
+      },
+      {
+        type: "unaryExpression",
+        operator: "!",
+        argument: {
+          type: "regexExpression",
+          field: "status",
+          pattern: "draft",
+          flags: "i"
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "NewExpression",
+        callee: {
+          type: "Identifier",
+          name: "RegExp"
+        },
+        arguments: [
+          {
+            type: "Identifier",
+            name: "q"
+          }
+        ]
+      },
+      references: [
+        {
+          name: "RegExp",
+          kind: "global"
+        },
+        {
+          name: "q",
+          kind: "parameter"
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,10 @@
+import myDb from "../my-db";
+
+async function getTodos(q) {
+  return myDb.todos.filter(
+    todo =>
+      /^urgent/i.test(todo.title) &&
+      new RegExp(q).test(todo.description) &&
+      !new RegExp("draft", "i").test(todo.status)
+  );
+}
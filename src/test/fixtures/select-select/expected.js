@@ -0,0 +1,77 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "logicalExpression",
+        operator: "||",
+        expressions: [
+          {
+            type: "binaryFieldExpression",
+            operator: "===",
+            field: "assignee",
+            comparandNode: {
+              type: "param",
+              name: "who"
+            }
+          },
+          {
+            type: "binaryFieldExpression",
+            operator: "===",
+            field: "reviewer",
+            comparandNode: {
+              type: "param",
+              name: "who"
+            }
+          }
+        ]
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "!==",
+        field: "done",
+        comparandNode: {
+          type: "BooleanLiteral",
+          value: true
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: ">",
+        field: "priority",
+        comparandNode: {
+          type: "NumericLiteral",
+          value: 2
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "assignee",
+        comparandNode: {
+          type: "param",
+          name: "who"
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
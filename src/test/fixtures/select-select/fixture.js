@@ -0,0 +1,8 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos
+    .filter(todo => todo.assignee === who || todo.reviewer === who)
+    .filter(todo => !todo.done)
+    .filter(todo => todo.priority > 2 && todo.assignee === who);
+}
@@ -1,25 +1,35 @@
 module.exports = {
   type: "query",
-  method: "slice",
+  operation: "slice",
   from: 10,
   to: 20,
   source: {
     type: "query",
-    method: "filter",
+    operation: "filter",
     predicate: {
       type: "binaryFieldExpression",
       operator: "===",
       field: "assignee",
       comparandNode: {
-        type: "Identifier",
+        type: "param",
         name: "who"
       }
     },
     source: {
       type: "query",
-      module: "todosDbModule",
+      module: "mongodb://localhost:27017/isotropy-test-db",
       identifier: "myDb",
       collection: "todos"
     }
-  }
-}
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
@@ -0,0 +1,61 @@
+module.exports = {
+  type: "query",
+  operation: "map",
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "title",
+        expression: {
+          type: "field",
+          field: "title"
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    operation: "slice",
+    from: 0,
+    to: 10,
+    source: {
+      type: "query",
+      operation: "sort",
+      fields: [
+        {
+          field: "priority",
+          ascending: false
+        }
+      ],
+      source: {
+        type: "query",
+        operation: "filter",
+        predicate: {
+          type: "binaryFieldExpression",
+          operator: "===",
+          field: "assignee",
+          comparandNode: {
+            type: "param",
+            name: "who"
+          }
+        },
+        source: {
+          type: "query",
+          module: "mongodb://localhost:27017/isotropy-test-db",
+          identifier: "myDb",
+          collection: "todos"
+        }
+      }
+    }
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
@@ -0,0 +1,9 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos
+    .filter(todo => todo.assignee === who)
+    .sort((x, y) => y.priority - x.priority)
+    .slice(0, 10)
+    .map(todo => ({ title: todo.title }));
+}
@@ -1,6 +1,6 @@
 module.exports = {
   type: "query",
-  method: "sort",
+  operation: "sort",
   fields: [
     {
       field: "assignee",
@@ -9,21 +9,31 @@ module.exports = {
   ],
   source: {
     type: "query",
-    method: "filter",
+    operation: "filter",
     predicate: {
       type: "binaryFieldExpression",
       operator: "===",
       field: "assignee",
       comparandNode: {
-        type: "Identifier",
+        type: "param",
         name: "who"
       }
     },
     source: {
       type: "query",
-      module: "todosDbModule",
+      module: "mongodb://localhost:27017/isotropy-test-db",
       identifier: "myDb",
       collection: "todos"
     }
-  }
-}
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
+};
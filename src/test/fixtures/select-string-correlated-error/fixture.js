@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.filter(todo => todo.title.startsWith(todo.prefix.trim()));
+}
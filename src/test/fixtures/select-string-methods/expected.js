@@ -0,0 +1,145 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "logicalExpression",
+        operator: "||",
+        expressions: [
+          {
+            type: "stringMatchExpression",
+            method: "startsWith",
+            field: "title",
+            comparandNode: {
+              type: "param",
+              name: "q"
+            }
+          },
+          {
+            type: "stringMatchExpression",
+            method: "endsWith",
+            field: "title",
+            comparandNode: {
+              type: "StringLiteral",
+              value: ".pdf"
+            }
+          },
+          {
+            type: "stringMatchExpression",
+            method: "includes",
+            field: "title",
+            comparandNode: {
+              type: "param",
+              name: "param"
+            }
+          }
+        ]
+      },
+      {
+        type: "unaryExpression",
+        operator: "!",
+        argument: {
+          type: "stringMatchExpression",
+          method: "startsWith",
+          field: "title",
+          comparandNode: {
+            type: "StringLiteral",
+            value: "tmp"
+          }
+        }
+      },
+      {
+        type: "includesExpression",
+        field: "title",
+        comparandNode: {
+          type: "param",
+          name: "q"
+        }
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "owner",
+        comparandNode: {
+          type: "param",
+          name: "owner"
+        },
+        ignoreCase: true
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "!==",
+        field: "status",
+        comparandNode: {
+          type: "StringLiteral",
+          value: "DONE"
+        },
+        ignoreCase: true
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "q",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "q"
+      }
+    },
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "TemplateLiteral",
+        expressions: [
+          {
+            type: "Identifier",
+            name: "q"
+          }
+        ],
+        quasis: [
+          {
+            type: "TemplateElement",
+            value: {
+              raw: "#",
+              cooked: "#"
+            },
+            tail: false
+          },
+          {
+            type: "TemplateElement",
+            value: {
+              raw: "",
+              cooked: ""
+            },
+            tail: true
+          }
+        ]
+      },
+      references: [
+        {
+          name: "q",
+          kind: "parameter"
+        }
+      ]
+    },
+    {
+      name: "owner",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "owner"
+      }
+    }
+  ]
+};
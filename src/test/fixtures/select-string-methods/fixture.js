@@ -0,0 +1,12 @@
+import myDb from "../my-db";
+
+async function getTodos(q, owner) {
+  return myDb.todos.filter(
+    todo =>
+      (todo.title.startsWith(q) || todo.title.endsWith(".pdf") || todo.title.includes(`#${q}`)) &&
+      !todo.title.startsWith("tmp") &&
+      todo.title.includes(q) &&
+      todo.owner.toLowerCase() === owner.toLowerCase() &&
+      todo.status.toUpperCase() !== "DONE"
+  );
+}
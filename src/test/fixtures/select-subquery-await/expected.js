@@ -0,0 +1,57 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: "!==",
+        field: "done",
+        comparandNode: {
+          type: "BooleanLiteral",
+          value: true
+        }
+      },
+      {
+        type: "inExpression",
+        field: "assignee",
+        subquery: {
+          type: "query",
+          operation: "map",
+          projection: {
+            type: "field",
+            field: "username"
+          },
+          source: {
+            type: "query",
+            operation: "filter",
+            predicate: {
+              type: "binaryFieldExpression",
+              operator: "!==",
+              field: "active",
+              comparandNode: {
+                type: "BooleanLiteral",
+                value: true
+              }
+            },
+            source: {
+              type: "query",
+              module: "mongodb://localhost:27017/isotropy-test-db",
+              identifier: "myDb",
+              collection: "users"
+            }
+          }
+        }
+      }
+    ]
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,6 @@
+import myDb from "../my-db";
+
+async function getTodosOfInactiveUsers() {
+  const inactive = await myDb.users.filter(user => !user.active).map(user => user.username);
+  return myDb.todos.filter(todo => !todo.done && inactive.includes(todo.assignee));
+}
@@ -0,0 +1,28 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "inExpression",
+    field: "assignee",
+    comparandNode: {
+      type: "param",
+      name: "members"
+    }
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "members",
+      kind: "variable",
+      node: {
+        type: "Identifier",
+        name: "members"
+      }
+    }
+  ]
+};
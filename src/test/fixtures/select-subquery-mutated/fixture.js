@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+async function getTeamTodos(team, lead) {
+  const members = myDb.users.filter(user => user.team === team).map(user => ({ username: user.username }));
+  members.push({ username: lead });
+  return myDb.todos.filter(todo => members.includes(todo.assignee));
+}
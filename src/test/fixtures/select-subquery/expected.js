@@ -0,0 +1,59 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "inExpression",
+    field: "assignee",
+    subquery: {
+      type: "query",
+      operation: "map",
+      projection: {
+        type: "object",
+        properties: [
+          {
+            key: "username",
+            expression: {
+              type: "field",
+              field: "username"
+            }
+          }
+        ]
+      },
+      source: {
+        type: "query",
+        operation: "filter",
+        predicate: {
+          type: "binaryFieldExpression",
+          operator: "===",
+          field: "team",
+          comparandNode: {
+            type: "param",
+            name: "team"
+          }
+        },
+        source: {
+          type: "query",
+          module: "mongodb://localhost:27017/isotropy-test-db",
+          identifier: "myDb",
+          collection: "users"
+        }
+      }
+    }
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "team",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "team"
+      }
+    }
+  ]
+};
@@ -0,0 +1,6 @@
+import myDb from "../my-db";
+
+async function getTeamTodos(team) {
+  const members = myDb.users.filter(user => user.team === team).map(user => ({ username: user.username }));
+  return myDb.todos.filter(todo => members.includes(todo.assignee));
+}
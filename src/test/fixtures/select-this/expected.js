@@ -0,0 +1,41 @@
+module.exports = {
+  type: "query",
+  operation: "filter",
+  predicate: {
+    type: "binaryFieldExpression",
+    operator: "===",
+    field: "assignee",
+    comparandNode: {
+      type: "param",
+      name: "param"
+    }
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "MemberExpression",
+        object: {
+          type: "ThisExpression"
+        },
+        property: {
+          type: "Identifier",
+          name: "user"
+        }
+      },
+      references: [
+        {
+          name: "this",
+          kind: "this"
+        }
+      ]
+    }
+  ]
+};
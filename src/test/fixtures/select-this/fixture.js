@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+class TodoList {
+  async getTodos() {
+    return myDb.todos.filter(todo => todo.assignee === this.user);
+  }
+}
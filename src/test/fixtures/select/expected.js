@@ -1,56 +1,68 @@
-/*
-  todo.assignee === who && (todo.priority > 2 || todo.immediate) && todo.new
-  
-  {
-    $and: [
-      { assignee: who },
-      { $or: [{ priority: { $gt: 2 } }, { immediate: true }] },
-      { new: true }
-    ];
-  }
-*/
 module.exports = {
   type: "query",
   operation: "filter",
   predicate: {
-    operator: "$and",
-    left: {
-      operator: "$and",
-      left: {
-        operator: "$eq",
+    type: "logicalExpression",
+    operator: "&&",
+    expressions: [
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
         field: "assignee",
-        valueNode: {
-          type: "Identifier",
+        comparandNode: {
+          type: "param",
           name: "who"
         }
       },
-      right: {
-        operator: "$or",
-        left: {
-          operator: "$gt",
-          field: "priority",
-          valueNode: {
-            type: "NumericLiteral",
-            value: 2
+      {
+        type: "logicalExpression",
+        operator: "||",
+        expressions: [
+          {
+            type: "binaryFieldExpression",
+            operator: ">",
+            field: "priority",
+            comparandNode: {
+              type: "NumericLiteral",
+              value: 2
+            }
+          },
+          {
+            type: "binaryFieldExpression",
+            operator: "===",
+            field: "immediate",
+            comparandNode: {
+              type: "BooleanLiteral",
+              value: true
+            }
           }
-        },
-        right: {
-          operator: "$eq",
-          field: "immediate",
-          valueNode: { type: "BooleanLiteral", value: true }
+        ]
+      },
+      {
+        type: "binaryFieldExpression",
+        operator: "===",
+        field: "new",
+        comparandNode: {
+          type: "BooleanLiteral",
+          value: true
         }
       }
-    },
-    right: {
-      operator: "$eq",
-      field: "new",
-      valueNode: { type: "BooleanLiteral", value: true }
-    }
+    ]
   },
   source: {
     type: "query",
     module: "mongodb://localhost:27017/isotropy-test-db",
     identifier: "myDb",
     collection: "todos"
-  }
+  },
+  params: [
+    {
+      name: "who",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "who"
+      }
+    }
+  ]
 };
@@ -1,10 +1,25 @@
 module.exports = {
   type: "query",
   operation: "map",
-  fields: [
-    { newField: "owner", field: "assignee" },
-    { newField: "timestamp", field: "createdAt" }
-  ],
+  projection: {
+    type: "object",
+    properties: [
+      {
+        key: "owner",
+        expression: {
+          type: "field",
+          field: "assignee"
+        }
+      },
+      {
+        key: "timestamp",
+        expression: {
+          type: "field",
+          field: "createdAt"
+        }
+      }
+    ]
+  },
   source: {
     type: "query",
     operation: "slice",
@@ -16,5 +31,6 @@ module.exports = {
       identifier: "myDb",
       collection: "todos"
     }
-  }
+  },
+  params: []
 };
@@ -0,0 +1,22 @@
+module.exports = {
+  type: "query",
+  operation: "slice",
+  from: -10,
+  source: {
+    type: "query",
+    operation: "sort",
+    fields: [
+      {
+        field: "createdAt",
+        ascending: true
+      }
+    ],
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: []
+};
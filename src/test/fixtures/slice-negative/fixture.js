@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.sort((a, b) => a.createdAt - b.createdAt).slice(-10);
+}
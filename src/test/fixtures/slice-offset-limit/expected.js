@@ -0,0 +1,49 @@
+module.exports = {
+  type: "query",
+  operation: "slice",
+  fromNode: {
+    type: "param",
+    name: "offset"
+  },
+  limitNode: {
+    type: "param",
+    name: "limit"
+  },
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "binaryFieldExpression",
+      operator: "===",
+      field: "done",
+      comparandNode: {
+        type: "BooleanLiteral",
+        value: true
+      }
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: [
+    {
+      name: "offset",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "offset"
+      }
+    },
+    {
+      name: "limit",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "limit"
+      }
+    }
+  ]
+};
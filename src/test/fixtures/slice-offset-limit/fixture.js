@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos(offset, limit) {
+  return myDb.todos.filter(todo => todo.done).slice(offset, offset + limit);
+}
@@ -0,0 +1,54 @@
+module.exports = {
+  type: "query",
+  operation: "slice",
+  fromNode: {
+    type: "param",
+    name: "param"
+  },
+  limitNode: {
+    type: "param",
+    name: "size"
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "BinaryExpression",
+        left: {
+          type: "Identifier",
+          name: "page"
+        },
+        operator: "*",
+        right: {
+          type: "Identifier",
+          name: "size"
+        }
+      },
+      references: [
+        {
+          name: "page",
+          kind: "parameter"
+        },
+        {
+          name: "size",
+          kind: "parameter"
+        }
+      ]
+    },
+    {
+      name: "size",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "size"
+      }
+    }
+  ]
+};
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos(page, size) {
+  return myDb.todos.slice(page * size, (page + 1) * size);
+}
@@ -0,0 +1,25 @@
+module.exports = {
+  type: "query",
+  operation: "slice",
+  from: 0,
+  toNode: {
+    type: "param",
+    name: "end"
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "end",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "end"
+      }
+    }
+  ]
+};
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos(end) {
+  return myDb.todos.slice(0, end);
+}
@@ -0,0 +1,36 @@
+module.exports = {
+  type: "query",
+  operation: "slice",
+  from: 0,
+  toNode: {
+    type: "param",
+    name: "param"
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "UnaryExpression",
+        operator: "-",
+        prefix: true,
+        argument: {
+          type: "Identifier",
+          name: "count"
+        }
+      },
+      references: [
+        {
+          name: "count",
+          kind: "parameter"
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getAllButLatest(count) {
+  return myDb.todos.slice(0, -count);
+}
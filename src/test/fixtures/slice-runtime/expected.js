@@ -0,0 +1,50 @@
+module.exports = {
+  type: "query",
+  operation: "slice",
+  fromNode: {
+    type: "param",
+    name: "param"
+  },
+  toNode: {
+    type: "param",
+    name: "end"
+  },
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "param",
+      kind: "expression",
+      node: {
+        type: "BinaryExpression",
+        left: {
+          type: "Identifier",
+          name: "start"
+        },
+        operator: "+",
+        right: {
+          type: "NumericLiteral",
+          value: 1
+        }
+      },
+      references: [
+        {
+          name: "start",
+          kind: "parameter"
+        }
+      ]
+    },
+    {
+      name: "end",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "end"
+      }
+    }
+  ]
+};
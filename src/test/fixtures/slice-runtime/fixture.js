@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos(start, end) {
+  return myDb.todos.slice(start + 1, end);
+}
@@ -1,11 +1,12 @@
 module.exports = {
   type: "query",
-  method: "slice",
+  operation: "slice",
   from: 10,
   source: {
     type: "query",
-    module: "todosDbModule",
+    module: "mongodb://localhost:27017/isotropy-test-db",
     identifier: "myDb",
     collection: "todos"
-  }
-}
+  },
+  params: []
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  type: "value",
+  operation: "exists",
+  source: {
+    type: "query",
+    operation: "filter",
+    predicate: {
+      type: "binaryFieldExpression",
+      operator: "===",
+      field: "assignee",
+      comparandNode: {
+        type: "param",
+        name: "email"
+      }
+    },
+    source: {
+      type: "query",
+      module: "mongodb://localhost:27017/isotropy-test-db",
+      identifier: "myDb",
+      collection: "todos"
+    }
+  },
+  params: [
+    {
+      name: "email",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "email"
+      }
+    }
+  ]
+};
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function isTaken(email) {
+  return myDb.todos.some(todo => todo.assignee === email);
+}
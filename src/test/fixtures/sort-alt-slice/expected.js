@@ -1,8 +1,8 @@
 module.exports = {
   type: "query",
+  operation: "slice",
   from: 10,
   to: 20,
-  operation: "slice",
   source: {
     type: "query",
     operation: "sort",
@@ -18,5 +18,6 @@ module.exports = {
       identifier: "myDb",
       collection: "todos"
     }
-  }
+  },
+  params: []
 };
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.sort((a, b) => b.dueDate.getTime() - a.dueDate.getTime());
+}
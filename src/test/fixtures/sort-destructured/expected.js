@@ -0,0 +1,17 @@
+module.exports = {
+  type: "query",
+  operation: "sort",
+  fields: [
+    {
+      field: "rank",
+      ascending: true
+    }
+  ],
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,46 @@
+module.exports = {
+  type: "query",
+  operation: "sort",
+  fields: [
+    {
+      field: "title",
+      ascending: false,
+      collation: {
+        localeNode: {
+          type: "StringLiteral",
+          value: "de"
+        }
+      }
+    },
+    {
+      field: "owner",
+      ascending: false,
+      collation: {
+        optionsNode: {
+          type: "ObjectExpression",
+          properties: [
+            {
+              type: "ObjectProperty",
+              method: false,
+              key: {
+                type: "Identifier",
+                name: "numeric"
+              },
+              value: {
+                type: "BooleanLiteral",
+                value: true
+              }
+            }
+          ]
+        }
+      }
+    }
+  ],
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,9 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.sort(
+    (a, b) =>
+      b.title.localeCompare(a.title, "de") ||
+      -a.owner.localeCompare(b.owner, undefined, { numeric: true })
+  );
+}
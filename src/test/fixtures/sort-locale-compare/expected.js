@@ -0,0 +1,54 @@
+module.exports = {
+  type: "query",
+  operation: "sort",
+  fields: [
+    {
+      field: "owner.name",
+      ascending: true,
+      collation: {
+        localeNode: {
+          type: "param",
+          name: "locale"
+        },
+        optionsNode: {
+          type: "ObjectExpression",
+          properties: [
+            {
+              type: "ObjectProperty",
+              method: false,
+              key: {
+                type: "Identifier",
+                name: "sensitivity"
+              },
+              value: {
+                type: "StringLiteral",
+                value: "base"
+              }
+            }
+          ]
+        }
+      }
+    },
+    {
+      field: "title",
+      ascending: true,
+      collation: {}
+    }
+  ],
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: [
+    {
+      name: "locale",
+      kind: "parameter",
+      node: {
+        type: "Identifier",
+        name: "locale"
+      }
+    }
+  ]
+};
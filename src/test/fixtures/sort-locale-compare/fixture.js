@@ -0,0 +1,9 @@
+import myDb from "../my-db";
+
+async function getTodos(locale) {
+  return myDb.todos.sort(
+    (a, b) =>
+      a.owner.name.localeCompare(b.owner.name, locale, { sensitivity: "base" }) ||
+      a.title.localeCompare(b.title)
+  );
+}
@@ -0,0 +1,25 @@
+module.exports = {
+  type: "query",
+  operation: "sort",
+  fields: [
+    {
+      field: "priority",
+      ascending: false
+    },
+    {
+      field: "owner.name",
+      ascending: true
+    },
+    {
+      field: "title",
+      ascending: true
+    }
+  ],
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,11 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.sort(function(a, b) {
+    return a.priority !== b.priority
+      ? b.priority - a.priority
+      : a.owner.name === b.owner.name
+        ? a.title > b.title ? 1 : a.title === b.title ? 0 : -1
+        : a.owner.name - b.owner.name;
+  });
+}
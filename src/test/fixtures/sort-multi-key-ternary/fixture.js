@@ -0,0 +1,12 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.sort(
+    (a, b) =>
+      a.priority > b.priority
+        ? 1
+        : a.priority < b.priority
+          ? -1
+          : a.title > b.title ? -1 : a.title < b.title ? 1 : 0
+  );
+}
@@ -0,0 +1,22 @@
+module.exports = {
+  type: "query",
+  operation: "sort",
+  fields: [
+    {
+      field: "priority",
+      ascending: true
+    },
+    {
+      field: "dueDate",
+      ascending: false,
+      valueType: "date"
+    }
+  ],
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
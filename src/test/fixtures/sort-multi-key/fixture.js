@@ -0,0 +1,8 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.sort(
+    (a, b) =>
+      a.priority - b.priority || b.dueDate.getTime() - a.dueDate.getTime() || a.priority - b.priority
+  );
+}
@@ -0,0 +1,5 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos.sort((x, y) => y.owner.profile.rank - x.owner.profile.rank);
+}
@@ -0,0 +1,6 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  const Number = pinned => (pinned ? 0 : 1);
+  return myDb.todos.sort((a, b) => Number(b.pinned) - Number(a.pinned));
+}
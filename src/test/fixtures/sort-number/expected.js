@@ -0,0 +1,22 @@
+module.exports = {
+  type: "query",
+  operation: "sort",
+  fields: [
+    {
+      field: "pinned",
+      ascending: false
+    },
+    {
+      field: "dueDate",
+      ascending: true,
+      valueType: "date"
+    }
+  ],
+  source: {
+    type: "query",
+    module: "mongodb://localhost:27017/isotropy-test-db",
+    identifier: "myDb",
+    collection: "todos"
+  },
+  params: []
+};
@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+async function getTodos() {
+  return myDb.todos.sort(
+    (a, b) => Number(b.pinned) - Number(a.pinned) || +a.dueDate.getTime() - +b.dueDate.getTime()
+  );
+}
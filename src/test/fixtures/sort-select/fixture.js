@@ -0,0 +1,7 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos
+    .sort((x, y) => x.priority - y.priority)
+    .filter(todo => todo.assignee === who);
+}
@@ -0,0 +1,9 @@
+import myDb from "../my-db";
+
+async function getTodos(who) {
+  return myDb.todos
+    .sort((a, b) => a.title - b.title || a.dueDate - b.dueDate)
+    .filter(todo => todo.assignee === who)
+    .sort((a, b) => a.priority - b.priority)
+    .sort((a, b) => b.dueDate - a.dueDate);
+}
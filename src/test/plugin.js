@@ -34,6 +34,14 @@ export default function(opts) {
 
         CallExpression(path, state) {
           analyze(analyzers.read.analyzeCallExpression, path, state);
+        },
+
+        BinaryExpression(path, state) {
+          analyze(analyzers.read.analyzeBinaryExpression, path, state);
+        },
+
+        ArrayExpression(path, state) {
+          analyze(analyzers.read.analyzeArrayExpression, path, state);
         }
       }
     },
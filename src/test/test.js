@@ -37,6 +37,11 @@ describe("isotropy-ast-analyzer-db", () => {
                             name: "todos",
                             connectionString:
                               "mongodb://localhost:27017/isotropy-test-db"
+                          },
+                          {
+                            name: "users",
+                            connectionString:
+                              "mongodb://localhost:27017/isotropy-test-db"
                           }
                         ]
                       }
@@ -64,7 +69,7 @@ describe("isotropy-ast-analyzer-db", () => {
             const expected = require(`./fixtures/${dir}/expected`);
             const result = callWrapper();
             const actual = clean(result.analysis);
-            actual.should.deepEqual(expected);
+            should(actual).deepEqual(expected);
           })();
     });
   }
@@ -73,25 +78,105 @@ describe("isotropy-ast-analyzer-db", () => {
     // ["collection", "collection"],
     // ["count", "count"],
     // ["delete", "delete"],
-    // ["insert", "insert"],
-    // ["map", "map"],
-    // ["map-slice", "map-slice"],
+    ["insert", "insert"],
+    ["map", "map"],
+    ["map-nested-fields", "map-nested-fields"],
+    ["map-destructured", "map-destructured"],
+    ["map-destructured-default-error", "map-destructured-default-error"],
+    ["map-shorthand", "map-shorthand"],
+    ["map-expressions", "map-expressions"],
+    ["map-pluck", "map-pluck"],
+    ["map-shadowed-param", "map-shadowed-param"],
+    ["find", "find"],
+    ["find-index", "find-index"],
+    ["select-find", "select-find"],
+    ["some", "some"],
+    ["every", "every"],
+    ["every-compare", "every-compare"],
+    ["math-non-query", "math-non-query"],
+    ["reduce-sum", "reduce-sum"],
+    ["reduce-max", "reduce-max"],
+    ["reduce-min-map", "reduce-min-map"],
+    ["reduce-math-shadowed-error", "reduce-math-shadowed-error"],
+    ["reduce-number-shadowed-error", "reduce-number-shadowed-error"],
+    ["math-max", "math-max"],
+    ["average", "average"],
+    ["group-count", "group-count"],
+    ["group-sum", "group-sum"],
+    ["group-push", "group-push"],
+    ["group-push-field", "group-push-field"],
+    ["distinct-spread", "distinct-spread"],
+    ["distinct-array-from", "distinct-array-from"],
+    ["map-lookup", "map-lookup"],
+    ["map-lookup-filter", "map-lookup-filter"],
+    ["map-lookup-correlated-error", "map-lookup-correlated-error"],
+    ["select-join", "select-join"],
+    ["select-join-correlated-error", "select-join-correlated-error"],
+    ["select-join-unknown-outer-error", "select-join-unknown-outer-error"],
+    ["select-subquery", "select-subquery"],
+    ["select-subquery-await", "select-subquery-await"],
+    ["select-subquery-mutated", "select-subquery-mutated"],
+    ["select-element-correlated-error", "select-element-correlated-error"],
+    ["map-slice", "map-slice"],
     ["select", "select"],
-    // ["select-count", "select-count"],
-    // ["select-map", "select-map"],
-    // ["select-slice", "select-slice"],
-    // ["select-sort", "select-sort"],
-    // ["slice", "slice"],
-    // ["slice-map", "slice-map"],
-    // ["slice-single-param", "slice-single-param"],
-    // ["sort", "sort"],
-    // ["sort-desc", "sort-desc"],
-    // ["sort-alt", "sort-alt"],
-    // ["sort-alt-negative", "sort-alt-negative"],
-    // ["sort-alt-reverse", "sort-alt-reverse"],
-    // ["sort-alt-reverse-negative", "sort-alt-reverse-negative"],
-    // ["sort-alt-slice", "sort-alt-slice"],
-    // ["sort-slice", "sort-slice"],
+    ["select-and-and-or", "select-and-and-or"],
+    ["select-includes", "select-includes"],
+    ["select-includes-string-error", "select-includes-string-error"],
+    ["select-string-methods", "select-string-methods"],
+    ["select-string-correlated-error", "select-string-correlated-error"],
+    ["select-regex", "select-regex"],
+    ["select-nested-fields", "select-nested-fields"],
+    ["select-compare-fields", "select-compare-fields"],
+    ["select-compare-correlated-error", "select-compare-correlated-error"],
+    ["select-exists", "select-exists"],
+    ["select-named-function", "select-named-function"],
+    ["select-named-function-shadowed-error", "select-named-function-shadowed-error"],
+    ["select-block-body", "select-block-body"],
+    ["select-index-param-error", "select-index-param-error"],
+    ["select-destructured", "select-destructured"],
+    ["select-destructured-default-error", "select-destructured-default-error"],
+    ["select-arithmetic", "select-arithmetic"],
+    ["select-elements", "select-elements"],
+    ["select-dates", "select-dates"],
+    ["select-computed-fields", "select-computed-fields"],
+    ["select-params", "select-params"],
+    ["select-this", "select-this"],
+    ["select-select", "select-select"],
+    ["select-sort-slice-map", "select-sort-slice-map"],
+    ["select-slice-count", "select-slice-count"],
+    ["select-count", "select-count"],
+    ["select-map", "select-map"],
+    ["select-slice", "select-slice"],
+    ["select-sort", "select-sort"],
+    ["slice", "slice"],
+    ["slice-map", "slice-map"],
+    ["slice-single-param", "slice-single-param"],
+    ["slice-pagination", "slice-pagination"],
+    ["slice-offset-limit", "slice-offset-limit"],
+    ["slice-runtime", "slice-runtime"],
+    ["slice-runtime-end", "slice-runtime-end"],
+    ["slice-negative", "slice-negative"],
+    ["slice-runtime-negative", "slice-runtime-negative"],
+    ["sort", "sort"],
+    ["sort-desc", "sort-desc"],
+    ["sort-alt", "sort-alt"],
+    ["sort-alt-negative", "sort-alt-negative"],
+    ["sort-alt-reverse", "sort-alt-reverse"],
+    ["sort-alt-reverse-negative", "sort-alt-reverse-negative"],
+    ["sort-nested-fields", "sort-nested-fields"],
+    ["sort-destructured", "sort-destructured"],
+    ["sort-dates", "sort-dates"],
+    ["sort-select", "sort-select"],
+    ["sort-sort", "sort-sort"],
+    ["sort-multi-key", "sort-multi-key"],
+    ["sort-multi-key-ternary", "sort-multi-key-ternary"],
+    ["sort-multi-key-fallthrough", "sort-multi-key-fallthrough"],
+    ["sort-locale-compare", "sort-locale-compare"],
+    ["sort-locale-compare-desc", "sort-locale-compare-desc"],
+    ["sort-number", "sort-number"],
+    ["sort-number-shadowed-error", "sort-number-shadowed-error"],
+    ["sort-alt-slice", "sort-alt-slice"],
+    ["sort-slice", "sort-slice"],
     // ["update", "update"],
     // ["read-call-error", "read-call-error"],
     // ["read-member-error", "read-member-error"],